@@ -12,6 +12,17 @@ document.addEventListener('DOMContentLoaded', () => {
     const useCacheCheckbox = document.getElementById('useCache');
     const simulateBtn = document.getElementById('simulateBtn');
 
+    const networkProfileSelect = document.getElementById('networkProfile');
+    const customProfileFields = document.getElementById('customProfileFields');
+
+    // Custom headers, query parameters and body
+    requestBuilder.init(methodSelect);
+
+    // Bandwidth, RTT and jitter inputs only apply to the custom profile
+    networkProfileSelect.addEventListener('change', () => {
+        customProfileFields.classList.toggle('hidden', networkProfileSelect.value !== 'custom');
+    });
+
     // Update slider values in real-time
     delaySlider.addEventListener('input', (e) => {
         delayValue.textContent = e.target.value;
@@ -21,6 +32,19 @@ document.addEventListener('DOMContentLoaded', () => {
         packetLossValue.textContent = e.target.value;
     });
 
+    // Link settings shared by the request simulation and the protocol comparison
+    const getNetworkSettings = () => ({
+        packetLoss: parseInt(packetLossSlider.value),
+        networkProfile: networkProfileSelect.value,
+        customProfile: networkProfileSelect.value === 'custom' ? {
+            downlinkKbps: parseFloat(document.getElementById('profileDownlink').value),
+            uplinkKbps: parseFloat(document.getElementById('profileUplink').value),
+            rtt: parseFloat(document.getElementById('profileRtt').value),
+            jitter: parseFloat(document.getElementById('profileJitter').value)
+        } : null,
+        seed: document.getElementById('seed').value.trim() || undefined
+    });
+
     // Form submission
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -37,11 +61,13 @@ document.addEventListener('DOMContentLoaded', () => {
             url: urlInput.value.trim(),
             method: methodSelect.value,
             delay: parseInt(delaySlider.value),
-            packetLoss: parseInt(packetLossSlider.value),
             connectionType: connectionTypeSelect.value,
             useCache: useCacheCheckbox.checked,
             useCookies: document.getElementById('useCookies').checked,
-            useRealRequest: document.getElementById('useRealRequest').checked
+            useRealRequest: document.getElementById('useRealRequest').checked,
+            ...getNetworkSettings(),
+            mockResponseSize: (parseInt(document.getElementById('mockResponseSize').value) || 0) * 1024,
+            ...requestBuilder.getPayload()
         };
 
         try {
@@ -50,23 +76,44 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('Simulation result:', result);
 
             // Display timeline
-            httpVisualizer.displayTimeline(result.timeline, result.totalTime);
+            httpVisualizer.displayTimeline(result.timeline, result.totalTime, result.networkProfile, result.measuredTimeline);
+            httpVisualizer.displayPacketLoss(result.packetLoss);
+            httpVisualizer.displayCacheHops(result.cacheInfo);
+            httpVisualizer.displaySeed(result.seed);
+
+            // Display TLS session and certificate chain (real HTTPS requests only)
+            httpVisualizer.displayTlsInfo(result.tls);
 
             // Display response - FIXED: Pass the isReal flag from the result object
             httpVisualizer.displayResponse(
                 result.response, 
                 result.connectionType, 
-                result.real || false  // Pass the real flag from result
+                result.real || false,  // Pass the real flag from result
+                result.cacheInfo
             );
 
+            // Display the exact HTTP/1.1 messages
+            httpVisualizer.displayRawExchange(result.raw);
+
+            // Display congestion window growth while the body downloaded
+            httpVisualizer.displayTcpModel(result.tcp);
+
+            if (result.cacheInfo) {
+                refreshCacheStats();
+            }
+
         } catch (error) {
             console.error('Simulation failed:', error);
             
-            // Check if it's packet loss
-            if (error.message === 'Packet Lost' || requestData.packetLoss > 0) {
+            // Packet loss only fails a request once a packet runs out of retransmissions
+            if (error.details && error.details.packetLoss) {
                 httpVisualizer.displayError(
-                    `❌ Packet Lost! The request failed due to ${requestData.packetLoss}% packet loss simulation.`
+                    `❌ Packet Lost! ${error.details.message}`
                 );
+                httpVisualizer.displayTimeline(error.details.timeline, error.details.totalTime);
+                httpVisualizer.displayPacketLoss(error.details.packetLoss);
+                httpVisualizer.displayCacheHops(null);
+                httpVisualizer.displaySeed(error.details.seed);
             } else {
                 httpVisualizer.displayError(
                     `Request failed: ${error.message}`
@@ -79,6 +126,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Switch between formatted and raw response views
+    document.querySelectorAll('.response-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.response-tab').forEach(other => other.classList.remove('active'));
+            document.querySelectorAll('.tab-panel').forEach(panel => panel.classList.add('hidden'));
+            tab.classList.add('active');
+            document.getElementById(tab.dataset.tab).classList.remove('hidden');
+        });
+    });
+
     // Test API connection on load
     requestHandler.testConnection().then(result => {
         if (result) {
@@ -95,6 +152,15 @@ document.addEventListener('DOMContentLoaded', () => {
     const http2DelayValue = document.getElementById('http2DelayValue');
     const concurrentRequestsInput = document.getElementById('concurrentRequests');
     const compareBtn = document.getElementById('compareBtn');
+    const http2ModeSelect = document.getElementById('http2Mode');
+    const http2TargetInput = document.getElementById('http2Target');
+
+    // The target URL is only used when streaming to a remote server,
+    // and 0-RTT only exists in the simulated HTTP/3 column
+    http2ModeSelect.addEventListener('change', () => {
+        http2TargetInput.classList.toggle('hidden', http2ModeSelect.value !== 'remote');
+        document.getElementById('resumedGroup').classList.toggle('hidden', http2ModeSelect.value !== 'simulated');
+    });
 
     // Update HTTP/2 delay value
     http2DelaySlider.addEventListener('input', (e) => {
@@ -108,47 +174,261 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const numRequests = parseInt(concurrentRequestsInput.value);
         const delay = parseInt(http2DelaySlider.value);
+        const http2Mode = http2ModeSelect.value;
+        const target = http2TargetInput.value.trim();
 
         // Create request array
         const requests = [];
         for (let i = 1; i <= numRequests; i++) {
             requests.push({
-                url: `https://example.com/api/resource/${i}`,
+                url: http2Mode === 'remote' ? target : `https://example.com/api/resource/${i}`,
                 method: 'GET'
             });
         }
 
         try {
-            // Simulate HTTP/1.1 (sequential)
-            const http1Start = Date.now();
-            const http1Requests = requests.map((req, index) => ({
-                id: index + 1,
-                url: req.url,
-                method: req.method,
-                time: delay
-            }));
-
-            const http1TotalTime = delay * numRequests;
-            const http1Results = {
-                requests: http1Requests,
-                totalTime: http1TotalTime
-            };
+            if (http2Mode === 'remote' && !target) {
+                throw new Error('Enter a target URL for real HTTP/2 mode');
+            }
+
+            // Simulate HTTP/2 (parallel) using backend; simulated mode models all three protocols
+            const http2Results = await requestHandler.simulateHTTP2(requests, delay, http2Mode === 'simulated' ? {
+                ...getNetworkSettings(),
+                resumed: document.getElementById('resumedConnection').checked
+            } : {
+                mode: 'real',
+                target: http2Mode === 'remote' ? target : undefined
+            });
 
-            // Simulate HTTP/2 (parallel) using backend
-            const http2Results = await requestHandler.simulateHTTP2(requests, delay);
+            // Simulate HTTP/1.1 (sequential) next to measured HTTP/2 streams
+            const http1Results = http2Results.http1 || {
+                requests: requests.map((req, index) => ({
+                    id: index + 1,
+                    url: req.url,
+                    method: req.method,
+                    time: delay
+                })),
+                totalTime: delay * numRequests
+            };
 
             // Display comparison
             httpVisualizer.displayHTTP2Comparison(http1Results, http2Results);
 
             console.log('HTTP/1.1:', http1Results);
             console.log('HTTP/2:', http2Results);
+            if (http2Results.http3) {
+                console.log('HTTP/3:', http2Results.http3);
+            }
 
         } catch (error) {
             console.error('Comparison failed:', error);
             httpVisualizer.displayError(`Comparison failed: ${error.message}`);
         } finally {
             compareBtn.disabled = false;
-            compareBtn.textContent = '⚡ Compare HTTP/1.1 vs HTTP/2';
+            compareBtn.textContent = '⚡ Compare HTTP/1.1, HTTP/2 and HTTP/3';
+        }
+    });
+
+    // Keep-alive vs close comparison
+    const connectionRequestsInput = document.getElementById('connectionRequests');
+    const compareConnectionsBtn = document.getElementById('compareConnectionsBtn');
+
+    compareConnectionsBtn.addEventListener('click', async () => {
+        const url = urlInput.value.trim();
+        if (!url) {
+            httpVisualizer.displayError('Please enter a URL');
+            return;
+        }
+
+        compareConnectionsBtn.disabled = true;
+        compareConnectionsBtn.textContent = '⏳ Comparing...';
+
+        try {
+            const comparison = await requestHandler.compareConnections(
+                url,
+                parseInt(connectionRequestsInput.value),
+                methodSelect.value
+            );
+            httpVisualizer.displayConnectionComparison(comparison);
+            console.log('Connection comparison:', comparison);
+        } catch (error) {
+            console.error('Connection comparison failed:', error);
+            httpVisualizer.displayError(`Connection comparison failed: ${error.message}`);
+        } finally {
+            compareConnectionsBtn.disabled = false;
+            compareConnectionsBtn.textContent = '🔁 Compare Keep-Alive vs Close';
+        }
+    });
+
+    // Page-load waterfall
+    const simulatePageBtn = document.getElementById('simulatePageBtn');
+
+    simulatePageBtn.addEventListener('click', async () => {
+        const url = urlInput.value.trim();
+        if (!url) {
+            httpVisualizer.displayError('Please enter a URL');
+            return;
+        }
+
+        simulatePageBtn.disabled = true;
+        simulatePageBtn.textContent = '⏳ Loading page...';
+
+        try {
+            const { networkProfile, customProfile, seed } = getNetworkSettings();
+            const page = await requestHandler.simulatePage({
+                url,
+                useRealRequest: document.getElementById('useRealRequest').checked,
+                template: document.getElementById('pageTemplate').value,
+                maxConnectionsPerHost: parseInt(document.getElementById('pageConnections').value),
+                networkProfile,
+                customProfile,
+                seed
+            });
+            httpVisualizer.displayPageWaterfall(page);
+            console.log('Page load:', page);
+        } catch (error) {
+            console.error('Page load simulation failed:', error);
+            httpVisualizer.displayError(`Page load simulation failed: ${error.message}`);
+        } finally {
+            simulatePageBtn.disabled = false;
+            simulatePageBtn.textContent = '📄 Simulate Page Load';
+        }
+    });
+
+    // TLS 1.2 vs TLS 1.3 handshakes
+    const compareTlsBtn = document.getElementById('compareTlsBtn');
+
+    compareTlsBtn.addEventListener('click', async () => {
+        compareTlsBtn.disabled = true;
+        compareTlsBtn.textContent = '⏳ Comparing...';
+
+        try {
+            const { networkProfile, customProfile } = getNetworkSettings();
+            const rtt = document.getElementById('tlsRtt').value;
+            const handshakes = await requestHandler.simulateTLS({
+                rtt: rtt === '' ? undefined : parseFloat(rtt),
+                networkProfile,
+                customProfile
+            });
+            httpVisualizer.displayTlsHandshakes(handshakes);
+            console.log('TLS handshakes:', handshakes);
+        } catch (error) {
+            console.error('TLS handshake comparison failed:', error);
+            httpVisualizer.displayError(`TLS handshake comparison failed: ${error.message}`);
+        } finally {
+            compareTlsBtn.disabled = false;
+            compareTlsBtn.textContent = '🔐 Compare TLS Handshakes';
+        }
+    });
+
+    // Recursive DNS resolution
+    const resolveDnsBtn = document.getElementById('resolveDnsBtn');
+
+    resolveDnsBtn.addEventListener('click', async () => {
+        const url = urlInput.value.trim();
+        if (!url) {
+            httpVisualizer.displayError('Please enter a URL');
+            return;
+        }
+
+        resolveDnsBtn.disabled = true;
+        resolveDnsBtn.textContent = '⏳ Resolving...';
+
+        try {
+            const { networkProfile, customProfile } = getNetworkSettings();
+            const lookup = await requestHandler.simulateDNS({
+                url,
+                recordType: document.getElementById('dnsRecordType').value,
+                networkProfile,
+                customProfile
+            });
+            httpVisualizer.displayDnsResolution(lookup);
+            console.log('DNS lookup:', lookup);
+        } catch (error) {
+            console.error('DNS resolution failed:', error);
+            httpVisualizer.displayError(`DNS resolution failed: ${error.message}`);
+        } finally {
+            resolveDnsBtn.disabled = false;
+            resolveDnsBtn.textContent = '🌍 Resolve Hostname';
+        }
+    });
+
+    document.getElementById('clearDnsBtn').addEventListener('click', async () => {
+        try {
+            const result = await requestHandler.clearDNSCache();
+            console.log(result.message);
+            httpVisualizer.displayDnsCache({ os: [], resolver: [] });
+        } catch (error) {
+            httpVisualizer.displayError(`Clearing DNS caches failed: ${error.message}`);
+        }
+    });
+
+    // Cache capacity: the same limits and eviction policy apply to every tier
+    const applyCacheLimitsBtn = document.getElementById('applyCacheLimitsBtn');
+
+    async function refreshCacheStats() {
+        try {
+            const stats = await requestHandler.getCacheStats();
+            httpVisualizer.displayCacheCapacity(stats);
+            httpVisualizer.displayCacheInspector(stats);
+        } catch (error) {
+            console.error('Loading cache stats failed:', error);
+        }
+    }
+
+    async function clearHttpCaches() {
+        try {
+            const result = await requestHandler.clearCache();
+            console.log(result.message);
+            await refreshCacheStats();
+        } catch (error) {
+            httpVisualizer.displayError(`Clearing HTTP caches failed: ${error.message}`);
+        }
+    }
+
+    refreshCacheStats();
+
+    requestHandler.getCacheConfig().then(limits => {
+        document.getElementById('evictionPolicy').value = limits.policy;
+        document.getElementById('cacheMaxEntries').value = limits.maxEntries;
+        document.getElementById('cacheMaxKb').value = Math.round(limits.maxBytes / 1024);
+    }).catch(error => console.error('Loading cache limits failed:', error));
+
+    applyCacheLimitsBtn.addEventListener('click', async () => {
+        applyCacheLimitsBtn.disabled = true;
+
+        try {
+            const result = await requestHandler.configureCache({
+                policy: document.getElementById('evictionPolicy').value,
+                maxEntries: parseInt(document.getElementById('cacheMaxEntries').value),
+                maxBytes: (parseInt(document.getElementById('cacheMaxKb').value) || 0) * 1024
+            });
+            console.log(result.message);
+            await refreshCacheStats();
+        } catch (error) {
+            httpVisualizer.displayError(`Setting cache limits failed: ${error.message}`);
+        } finally {
+            applyCacheLimitsBtn.disabled = false;
+        }
+    });
+
+    document.getElementById('clearCacheBtn').addEventListener('click', clearHttpCaches);
+
+    // Cache inspector: refresh, clear everything, or invalidate a single entry
+    document.getElementById('refreshCacheInspectorBtn').addEventListener('click', refreshCacheStats);
+    document.getElementById('clearCacheInspectorBtn').addEventListener('click', clearHttpCaches);
+
+    document.getElementById('cacheInspector').addEventListener('click', async (event) => {
+        const button = event.target.closest('[data-key]');
+        if (!button) return;
+
+        button.disabled = true;
+        try {
+            const result = await requestHandler.invalidateCacheEntry({ ...button.dataset });
+            console.log(result.message);
+            await refreshCacheStats();
+        } catch (error) {
+            httpVisualizer.displayError(`Invalidating cache entry failed: ${error.message}`);
         }
     });
 
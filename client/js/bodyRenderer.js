@@ -0,0 +1,249 @@
+// Render response bodies according to their content type
+
+class BodyRenderer {
+    constructor() {
+        this.maxHexBytes = 4096;
+        this.expandDepth = 2;
+    }
+
+    // Render a body and its size information into a container
+    render(container, body, bodyInfo, cached = false) {
+        container.innerHTML = '';
+
+        const info = bodyInfo || this.inferInfo(body);
+        container.appendChild(this.createSizeLine(info));
+
+        if (body === null || body === undefined || info.kind === 'empty') {
+            container.appendChild(this.createPre(cached ? '(No body - Cached response)' : '(Empty body)'));
+            return;
+        }
+
+        switch (info.kind) {
+            case 'json':
+                container.appendChild(info.encoding === 'json' ? this.createJsonTree(body) : this.createPre(body));
+                break;
+            case 'html':
+                container.appendChild(this.createHtmlPreview(body));
+                break;
+            case 'xml':
+                container.appendChild(this.createPre(this.prettyPrintXml(body)));
+                break;
+            case 'image':
+                container.appendChild(this.createImage(body, info.mimeType));
+                break;
+            case 'binary':
+                container.appendChild(this.createPre(this.hexDump(body)));
+                break;
+            default:
+                container.appendChild(this.createPre(body));
+        }
+
+        if (info.truncated) {
+            const note = document.createElement('small');
+            note.className = 'body-note';
+            note.textContent = `Body truncated to the first ${this.formatBytes(info.limit)} (server MAX_BODY_SIZE).`;
+            container.appendChild(note);
+        }
+    }
+
+    // Mock and cached bodies come without bodyInfo
+    inferInfo(body) {
+        if (body === null || body === undefined) {
+            return { kind: 'empty', wireSize: 0, decodedSize: 0 };
+        }
+
+        const serialized = typeof body === 'string' ? body : JSON.stringify(body);
+        const size = new TextEncoder().encode(serialized).length;
+
+        return {
+            kind: typeof body === 'string' ? 'text' : 'json',
+            encoding: typeof body === 'string' ? 'text' : 'json',
+            mimeType: typeof body === 'string' ? 'text/plain' : 'application/json',
+            wireSize: size,
+            decodedSize: size
+        };
+    }
+
+    // "Wire: 1,234 bytes (gzip) → Decoded: 5,678 bytes"
+    createSizeLine(info) {
+        const line = document.createElement('div');
+        line.className = 'body-size';
+
+        const wire = `Wire: ${this.formatBytes(info.wireSize)} (${info.contentEncoding || 'identity'})`;
+        const decoded = `Decoded: ${this.formatBytes(info.decodedSize)}`;
+        const type = info.mimeType ? ` · ${info.mimeType}` : '';
+
+        line.textContent = `${wire} → ${decoded}${type}`;
+        return line;
+    }
+
+    formatBytes(bytes) {
+        return `${(bytes || 0).toLocaleString()} bytes`;
+    }
+
+    createPre(text) {
+        const pre = document.createElement('pre');
+        pre.textContent = text;
+        return pre;
+    }
+
+    // Collapsible tree for JSON documents
+    createJsonTree(value) {
+        const tree = document.createElement('div');
+        tree.className = 'json-tree';
+        tree.appendChild(this.createJsonNode(null, value, 0));
+        return tree;
+    }
+
+    createJsonNode(key, value, depth) {
+        const label = key === null ? '' : `${key}: `;
+
+        if (value !== null && typeof value === 'object') {
+            const isArray = Array.isArray(value);
+            const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+
+            const details = document.createElement('details');
+            details.open = depth < this.expandDepth;
+
+            const summary = document.createElement('summary');
+            summary.textContent = `${label}${isArray ? `[${entries.length}]` : `{${entries.length}}`}`;
+            details.appendChild(summary);
+
+            const children = document.createElement('div');
+            children.className = 'json-children';
+            entries.forEach(([childKey, childValue]) => {
+                children.appendChild(this.createJsonNode(childKey, childValue, depth + 1));
+            });
+            details.appendChild(children);
+
+            return details;
+        }
+
+        const leaf = document.createElement('div');
+        leaf.className = 'json-leaf';
+
+        const keyElement = document.createElement('span');
+        keyElement.className = 'json-key';
+        keyElement.textContent = label;
+
+        const valueElement = document.createElement('span');
+        valueElement.className = `json-${value === null ? 'null' : typeof value}`;
+        valueElement.textContent = JSON.stringify(value);
+
+        leaf.appendChild(keyElement);
+        leaf.appendChild(valueElement);
+        return leaf;
+    }
+
+    // Sandboxed preview (no scripts, no same-origin access) plus the source
+    createHtmlPreview(html) {
+        const wrapper = document.createElement('div');
+
+        const frame = document.createElement('iframe');
+        frame.className = 'html-preview';
+        frame.setAttribute('sandbox', '');
+        frame.setAttribute('referrerpolicy', 'no-referrer');
+        frame.srcdoc = html;
+        wrapper.appendChild(frame);
+
+        const source = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = 'HTML source';
+        source.appendChild(summary);
+        source.appendChild(this.createPre(html));
+        wrapper.appendChild(source);
+
+        return wrapper;
+    }
+
+    createImage(base64, mimeType) {
+        const image = document.createElement('img');
+        image.className = 'image-preview';
+        image.alt = 'Response image';
+        image.src = `data:${mimeType || 'application/octet-stream'};base64,${base64}`;
+        return image;
+    }
+
+    // Offset, 16 hex bytes, and printable ASCII per line
+    hexDump(base64) {
+        const binary = atob(base64);
+        const length = Math.min(binary.length, this.maxHexBytes);
+        const lines = [];
+
+        for (let offset = 0; offset < length; offset += 16) {
+            const hex = [];
+            let ascii = '';
+
+            for (let i = offset; i < offset + 16; i++) {
+                if (i < length) {
+                    const byte = binary.charCodeAt(i);
+                    hex.push(byte.toString(16).padStart(2, '0'));
+                    ascii += byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.';
+                } else {
+                    hex.push('  ');
+                }
+            }
+
+            lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.slice(0, 8).join(' ')}  ${hex.slice(8).join(' ')}  |${ascii}|`);
+        }
+
+        if (binary.length > length) {
+            lines.push(`... ${binary.length - length} more bytes`);
+        }
+
+        return lines.join('\n');
+    }
+
+    // Indent an XML document; malformed XML is shown as received
+    prettyPrintXml(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            return xml;
+        }
+
+        const declaration = xml.trim().match(/^<\?xml[^>]*\?>/);
+        const lines = declaration ? [declaration[0]] : [];
+        doc.childNodes.forEach(node => this.formatXmlNode(node, 0, lines));
+        return lines.join('\n');
+    }
+
+    formatXmlNode(node, depth, lines) {
+        const indent = '  '.repeat(depth);
+
+        switch (node.nodeType) {
+            case Node.ELEMENT_NODE: {
+                const attributes = Array.from(node.attributes)
+                    .map(attr => ` ${attr.name}="${attr.value}"`)
+                    .join('');
+                const children = Array.from(node.childNodes)
+                    .filter(child => child.nodeType !== Node.TEXT_NODE || child.textContent.trim() !== '');
+
+                if (children.length === 0) {
+                    lines.push(`${indent}<${node.nodeName}${attributes}/>`);
+                } else if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+                    lines.push(`${indent}<${node.nodeName}${attributes}>${children[0].textContent.trim()}</${node.nodeName}>`);
+                } else {
+                    lines.push(`${indent}<${node.nodeName}${attributes}>`);
+                    children.forEach(child => this.formatXmlNode(child, depth + 1, lines));
+                    lines.push(`${indent}</${node.nodeName}>`);
+                }
+                break;
+            }
+            case Node.TEXT_NODE:
+                lines.push(`${indent}${node.textContent.trim()}`);
+                break;
+            case Node.CDATA_SECTION_NODE:
+                lines.push(`${indent}<![CDATA[${node.textContent}]]>`);
+                break;
+            case Node.COMMENT_NODE:
+                lines.push(`${indent}<!--${node.textContent}-->`);
+                break;
+            case Node.PROCESSING_INSTRUCTION_NODE:
+                lines.push(`${indent}<?${node.target} ${node.data}?>`);
+                break;
+        }
+    }
+}
+
+// Export instance
+const bodyRenderer = new BodyRenderer();
\ No newline at end of file
@@ -14,9 +14,10 @@ class HTTPVisualizer {
     }
 
     // Display request timeline
-    displayTimeline(timeline, totalTime) {
+    displayTimeline(timeline, totalTime, networkProfile = null, measuredTimeline = null) {
         // Clear existing timeline
         this.timelineContainer.innerHTML = '';
+        this.displayNetworkProfile(networkProfile, measuredTimeline);
 
         // Calculate max duration for scaling
         const maxDuration = Math.max(...timeline.map(stage => stage.duration));
@@ -37,6 +38,251 @@ class HTTPVisualizer {
         setTimeout(() => this.animateBars(), 100);
     }
 
+    // Describe the link a shaped timeline was modelled on
+    displayNetworkProfile(profile, measuredTimeline) {
+        const profileElement = document.getElementById('timelineProfile');
+        profileElement.classList.toggle('hidden', !profile);
+        if (!profile) return;
+
+        const rate = (kbps) => kbps >= 1000 ? `${kbps / 1000} Mbps` : `${kbps} kbps`;
+        let text = `📶 Shaped for ${profile.name}: ${rate(profile.downlinkKbps)} ↓ / ${rate(profile.uplinkKbps)} ↑, RTT ${profile.rtt} ms ± ${profile.jitter} ms`;
+
+        if (measuredTimeline) {
+            const measured = measuredTimeline.reduce((sum, stage) => sum + stage.duration, 0);
+            text += ` · measured from this server: ${Math.round(measured)} ms`;
+        }
+
+        profileElement.textContent = text;
+    }
+
+    // Summarize drops and retransmissions under the timeline
+    displayPacketLoss(report) {
+        const lossElement = document.getElementById('timelineLoss');
+        lossElement.classList.toggle('hidden', !report);
+        if (!report) return;
+
+        const retransmissions = report.events.reduce((sum, event) => sum + event.retransmissions, 0);
+        let text = `📉 ${report.lossPercent}% packet loss: ${report.packetsLost} of ${report.packetsSent} packets lost, ${retransmissions} retransmission(s) adding ${report.retransmissionTime} ms`;
+
+        if (report.failed) {
+            text += ` · gave up during ${report.failedStage} after ${report.maxRetransmissions} retransmissions of one packet`;
+        }
+
+        lossElement.textContent = text;
+    }
+
+    // Show the seed a run was generated from, with a shortcut to replay it
+    displaySeed(seed) {
+        const seedElement = document.getElementById('timelineSeed');
+        seedElement.classList.toggle('hidden', seed === undefined || seed === null);
+        seedElement.innerHTML = '';
+        if (seed === undefined || seed === null) return;
+
+        const text = document.createElement('span');
+        text.textContent = `🎲 Seed: ${seed}`;
+
+        const replay = document.createElement('button');
+        replay.type = 'button';
+        replay.className = 'seed-replay';
+        replay.textContent = 'Use this seed';
+        replay.addEventListener('click', () => {
+            document.getElementById('seed').value = seed;
+        });
+
+        seedElement.appendChild(text);
+        seedElement.appendChild(replay);
+    }
+
+    // Show the cache tiers between browser and origin: which answered, which were passed or skipped
+    displayCacheHops(cacheInfo) {
+        const hopsElement = document.getElementById('cacheHops');
+        hopsElement.classList.toggle('hidden', !cacheInfo);
+        hopsElement.innerHTML = '';
+        if (!cacheInfo) return;
+
+        // How the cache answered overall, before the per-tier hops
+        const outcomes = {
+            'fresh-hit': 'Fresh hit',
+            'stale-hit': 'Stale hit',
+            revalidated: 'Revalidated (304 Not Modified)',
+            replaced: 'Replaced (new response from origin)',
+            unmatched: 'Not refreshed (304 matched no stored copy)',
+            'origin-error': 'Origin error (stored copy kept)',
+            'not-stored': 'Not stored (new response could not be cached)',
+            miss: 'Miss'
+        };
+        if (cacheInfo.outcome) {
+            const outcome = document.createElement('span');
+            outcome.className = `cache-outcome ${cacheInfo.outcome}`;
+            outcome.textContent = outcomes[cacheInfo.outcome];
+            if (cacheInfo.revalidation) {
+                const validator = cacheInfo.revalidation.etag
+                    ? `If-None-Match: ${cacheInfo.revalidation.etag}`
+                    : cacheInfo.revalidation.lastModified ? `If-Modified-Since: ${cacheInfo.revalidation.lastModified}` : 'no validator stored';
+                outcome.title = `${cacheInfo.revalidation.name} asked the origin with ${validator}; origin answered ${cacheInfo.revalidation.originStatus}`;
+            }
+            hopsElement.appendChild(outcome);
+        }
+
+        const labels = {
+            hit: 'HIT',
+            'stale-hit': 'STALE HIT',
+            revalidate: 'MUST VALIDATE',
+            miss: 'MISS',
+            skipped: 'skipped',
+            fetched: 'fetched',
+            failed: 'failed'
+        };
+        cacheInfo.hops.forEach((hop, index) => {
+            if (index > 0 || cacheInfo.outcome) {
+                const arrow = document.createElement('span');
+                arrow.className = 'cache-hop-arrow';
+                arrow.textContent = '→';
+                hopsElement.appendChild(arrow);
+            }
+
+            const hopElement = document.createElement('div');
+            hopElement.className = `cache-hop ${hop.status}`;
+            // The freshness rule that decided this tier's answer
+            if (hop.rule) {
+                hopElement.title = hop.rule;
+            }
+
+            const name = document.createElement('strong');
+            name.textContent = hop.name;
+
+            const status = document.createElement('small');
+            status.textContent = [
+                labels[hop.status],
+                hop.duration ? `${hop.duration}ms` : null,
+                hop.stored === true ? 'stored' : null,
+                hop.stored === false ? `not stored (${cacheInfo.refused.find(refusal => refusal.tier === hop.tier).reason})` : null,
+                cacheInfo.filled && cacheInfo.filled.includes(hop.tier) ? 'filled from upstream' : null
+            ].filter(Boolean).join(' · ');
+
+            hopElement.appendChild(name);
+            hopElement.appendChild(status);
+            hopsElement.appendChild(hopElement);
+        });
+
+        // Why the answering tier could reuse its copy, or why the nearest stored copy could not be
+        const decidingHop = cacheInfo.hops.find(hop => hop.hit) || cacheInfo.hops.find(hop => hop.status === 'revalidate');
+        const explanation = cacheInfo.explanation || (decidingHop && decidingHop.rule);
+        if (explanation) {
+            const rule = document.createElement('p');
+            rule.className = 'cache-hop-rule';
+            rule.textContent = cacheInfo.backgroundRevalidate ? `${explanation} (revalidating in the background)` : explanation;
+            hopsElement.appendChild(rule);
+        }
+
+        this.displayCacheVariants(hopsElement, cacheInfo);
+
+        // Entries given up to make room for this response
+        if (cacheInfo.evicted && cacheInfo.evicted.length > 0) {
+            const evicted = document.createElement('p');
+            evicted.className = 'cache-hop-rule';
+            evicted.textContent = `🧹 Evicted to make room: ${cacheInfo.evicted.map(eviction =>
+                `${eviction.key} from ${eviction.tier} (${eviction.policy || eviction.reason})`).join(', ')}`;
+            hopsElement.appendChild(evicted);
+        }
+    }
+
+    // List the variants stored under the URL when its responses carry Vary
+    displayCacheVariants(container, cacheInfo) {
+        const variants = cacheInfo.variants || [];
+        if (!variants.some(variant => variant.vary.length > 0)) return;
+
+        const list = document.createElement('div');
+        list.className = 'cache-variants';
+
+        const title = document.createElement('strong');
+        title.textContent = `Variants stored under this URL (${variants.length})`;
+        list.appendChild(title);
+
+        variants.forEach(variant => {
+            const hop = cacheInfo.hops.find(entry => entry.tier === variant.tier);
+            const selection = Object.entries(variant.selection)
+                .map(([name, value]) => `${name}: ${value || '(none)'}`)
+                .join(' · ');
+            const representation = [variant.contentType, variant.contentLanguage, variant.contentEncoding]
+                .filter(Boolean)
+                .join(', ');
+
+            const row = document.createElement('div');
+            row.className = `cache-variant${variant.stale ? ' stale' : ''}`;
+            row.textContent = `${hop ? hop.name : variant.tier} — ${variant.vary.includes('*') ? 'Vary: * (never reused)' : selection || 'no Vary'} → ${representation || 'unknown type'} · ${variant.age}s old${variant.stale ? ' (stale)' : ''}`;
+            list.appendChild(row);
+        });
+
+        container.appendChild(list);
+    }
+
+    // Chart congestion window growth, one column per round trip of the download
+    displayTcpModel(tcp) {
+        const section = document.getElementById('tcpSection');
+        section.classList.toggle('hidden', !tcp);
+        if (!tcp) return;
+
+        const bandwidth = tcp.bandwidthKbps >= 1000 ? `${tcp.bandwidthKbps / 1000} Mbps` : `${tcp.bandwidthKbps} kbps`;
+        const fastRetransmits = tcp.rounds.filter(round => round.event === 'fast retransmit').length;
+        const timeouts = tcp.rounds.filter(round => round.event === 'timeout').length;
+
+        let text = `${tcp.bytes} bytes in ${tcp.segments} segments of ${tcp.mss} B over ${tcp.rounds.length} round trip(s), ` +
+            `${tcp.duration} ms at RTT ${tcp.rtt} ms and ${bandwidth}${tcp.bandwidthAssumed ? ' (assumed)' : ''}. ` +
+            `Initial window ${tcp.initialCwnd} segments, receive window ${tcp.receiveWindow}.`;
+        if (tcp.segmentsLost > 0) {
+            text += ` ${tcp.segmentsLost} segment(s) lost: ${fastRetransmits} fast retransmit(s), ${timeouts} timeout(s).`;
+        }
+        if (tcp.failed) {
+            text += ' The download was given up.';
+        }
+        document.getElementById('tcpSummary').textContent = text;
+
+        const chart = document.getElementById('tcpChart');
+        chart.innerHTML = '';
+        const maxWindow = Math.max(...tcp.rounds.map(round => round.cwnd));
+
+        tcp.rounds.forEach(round => {
+            const column = document.createElement('div');
+            column.className = 'cwnd-column';
+            column.title = `Round ${round.round} (${round.phase}): cwnd ${round.cwnd}, sent ${round.sent}, lost ${round.lost}` +
+                `${round.ssthresh !== null ? `, ssthresh ${round.ssthresh}` : ''}` +
+                `${round.event ? `, ${round.event}` : ''} · ${round.time} ms`;
+
+            const bar = document.createElement('div');
+            bar.className = 'cwnd-bar';
+            if (round.phase === 'congestion avoidance') {
+                bar.classList.add('avoidance');
+            }
+            bar.style.height = `${(round.cwnd / maxWindow) * 100}%`;
+
+            // Unused window (the last flight may be smaller than cwnd) stays empty
+            const delivered = document.createElement('div');
+            delivered.className = 'cwnd-delivered';
+            delivered.style.height = `${((round.sent - round.lost) / round.cwnd) * 100}%`;
+
+            const lost = document.createElement('div');
+            lost.className = 'cwnd-lost';
+            lost.style.height = `${(round.lost / round.cwnd) * 100}%`;
+
+            bar.appendChild(lost);
+            bar.appendChild(delivered);
+
+            const value = document.createElement('span');
+            value.className = 'cwnd-value';
+            value.textContent = round.event === 'timeout' ? '⏱' : (round.event ? '⚡' : round.cwnd);
+
+            const label = document.createElement('span');
+            label.className = 'cwnd-round';
+            label.textContent = round.round;
+
+            column.appendChild(value);
+            column.appendChild(bar);
+            column.appendChild(label);
+            chart.appendChild(column);
+        });
+    }
+
     // Create individual stage element
     createStageElement(stage, maxDuration, index) {
         const stageDiv = document.createElement('div');
@@ -55,7 +301,7 @@ class HTTPVisualizer {
         const bar = document.createElement('div');
         bar.className = 'stage-bar';
         bar.style.width = '0%'; // Start at 0 for animation
-        bar.style.backgroundColor = this.colors[index % this.colors.length];
+        bar.style.backgroundColor = stage.retransmission ? 'var(--error)' : this.colors[index % this.colors.length];
         bar.dataset.width = `${(stage.duration / maxDuration) * 100}%`;
         bar.textContent = `${stage.duration} ms`;
 
@@ -76,8 +322,97 @@ class HTTPVisualizer {
         });
     }
 
+    // Display negotiated TLS parameters and the peer certificate chain
+    displayTlsInfo(tls) {
+        const tlsCard = document.getElementById('tlsCard');
+        if (!tls) {
+            tlsCard.style.display = 'none';
+            return;
+        }
+
+        const summary = document.getElementById('tlsSummary');
+        summary.innerHTML = '';
+
+        const validation = tls.authorized
+            ? { text: '✅ Certificate chain valid', className: 'valid' }
+            : { text: `⚠️ Validation failed: ${tls.authorizationError}`, className: 'invalid' };
+
+        const rows = [
+            ['Protocol', tls.protocol],
+            ['Cipher Suite', tls.cipher.standardName || tls.cipher.name],
+            ['ALPN', tls.alpnProtocol || 'not negotiated'],
+            ['Server Name (SNI)', tls.servername || '—'],
+            ['Session', tls.reusedConnection
+                ? 'Reused keep-alive connection (no handshake)'
+                : (tls.sessionResumed ? 'Resumed (abbreviated handshake)' : 'Full handshake')]
+        ];
+
+        rows.forEach(([label, value]) => {
+            summary.appendChild(this.createTlsRow(label, value));
+        });
+
+        const status = document.createElement('div');
+        status.className = `tls-validation ${validation.className}`;
+        status.textContent = validation.text;
+        summary.appendChild(status);
+
+        // Certificate chain, leaf first
+        const chainElement = document.getElementById('tlsChain');
+        chainElement.innerHTML = '';
+
+        tls.certificateChain.forEach((cert, index) => {
+            const certElement = document.createElement('div');
+            certElement.className = 'tls-cert';
+            if (cert.expired || cert.notYetValid) {
+                certElement.classList.add('invalid');
+            }
+
+            const title = document.createElement('strong');
+            title.textContent = `${index === 0 ? '🔒 Leaf' : (cert.selfSigned ? '🏛️ Root' : '🔗 Intermediate')}: ${cert.commonName || cert.subject}`;
+            certElement.appendChild(title);
+
+            const certRows = [
+                ['Subject', cert.subject],
+                ['Issuer', cert.issuer],
+                ['Valid', cert.validFrom && cert.validTo
+                    ? `${cert.validFrom.slice(0, 10)} → ${cert.validTo.slice(0, 10)} (${cert.expired ? 'expired' : `${cert.daysRemaining} days left`})`
+                    : 'unknown (unreadable certificate dates)'],
+                ['SHA-256', cert.fingerprint256]
+            ];
+            if (cert.subjectAltNames.length > 0) {
+                certRows.splice(2, 0, ['SANs', cert.subjectAltNames.join(', ')]);
+            }
+
+            certRows.forEach(([label, value]) => {
+                certElement.appendChild(this.createTlsRow(label, value));
+            });
+
+            chainElement.appendChild(certElement);
+        });
+
+        tlsCard.style.display = 'block';
+    }
+
+    // Create a label/value row for the TLS card (text only, values come from remote servers)
+    createTlsRow(label, value) {
+        const row = document.createElement('div');
+        row.className = 'tls-row';
+
+        const labelElement = document.createElement('span');
+        labelElement.className = 'tls-label';
+        labelElement.textContent = label;
+
+        const valueElement = document.createElement('span');
+        valueElement.className = 'tls-value';
+        valueElement.textContent = value;
+
+        row.appendChild(labelElement);
+        row.appendChild(valueElement);
+        return row;
+    }
+
     // Display response details - FIXED: Now accepts isReal parameter
-    displayResponse(response, connectionType, isReal = false) {
+    displayResponse(response, connectionType, isReal = false, cacheInfo = null) {
         const { statusCode, statusText, headers, body, cached } = response;
 
         // Status badge
@@ -99,7 +434,7 @@ class HTTPVisualizer {
         }
 
         // Display cache status
-        this.displayCacheStatus(cached, headers);
+        this.displayCacheStatus(cached, headers, cacheInfo);
 
         // Display connection type
         this.displayConnectionType(connectionType);
@@ -112,6 +447,12 @@ class HTTPVisualizer {
         const headersCopy = { ...headers, 'Connection': connectionType };
         headersElement.textContent = JSON.stringify(headersCopy, null, 2);
 
+        // Display redirect chain if the request was redirected
+        this.displayRedirectChain(response);
+
+        // Display the Digest challenge round trip
+        this.displayAuthChallenge(response);
+
         // Display cookies if present
         if (response.cookies && response.cookies.length > 0) {
             // Check if cookies section exists
@@ -135,20 +476,161 @@ class HTTPVisualizer {
             }
         }
 
-        // Body
+        // Body, rendered by content type
         const bodyElement = document.getElementById('responseBody');
-        if (body) {
-            bodyElement.textContent = JSON.stringify(body, null, 2);
-        } else {
-            bodyElement.textContent = '(No body - Cached response)';
-        }
+        bodyRenderer.render(bodyElement, body, response.bodyInfo, cached || statusCode === 304);
 
         // Show response card
         document.getElementById('responseCard').style.display = 'block';
     }
 
+    // Display every redirect hop followed by the final response
+    displayRedirectChain(response) {
+        let redirectSection = document.querySelector('.response-redirects');
+        const chain = response.redirectChain || [];
+
+        if (chain.length === 0) {
+            if (redirectSection) {
+                redirectSection.style.display = 'none';
+            }
+            return;
+        }
+
+        if (!redirectSection) {
+            redirectSection = document.createElement('div');
+            redirectSection.className = 'response-redirects';
+            redirectSection.innerHTML = '<h3>↪️ Redirect Chain</h3><div class="redirect-chain"></div>';
+            document.querySelector('.response-headers').before(redirectSection);
+        }
+
+        const chainElement = redirectSection.querySelector('.redirect-chain');
+        chainElement.innerHTML = '';
+
+        chain.forEach(hop => {
+            const details = [`Location: ${hop.location}`, `${hop.timing.total} ms`];
+            if (hop.cookies.length > 0) {
+                details.push(`🍪 ${hop.cookies.map(cookie => cookie.split('=')[0]).join(', ')}`);
+            }
+            chainElement.appendChild(this.createRedirectHop(hop.statusCode, `${hop.method} ${hop.url}`, details.join(' · ')));
+
+            const arrow = document.createElement('div');
+            arrow.className = 'redirect-arrow';
+            arrow.textContent = '↓';
+            chainElement.appendChild(arrow);
+        });
+
+        const finalHop = this.createRedirectHop(response.statusCode, response.finalUrl, response.statusText);
+        finalHop.classList.add('final');
+        chainElement.appendChild(finalHop);
+
+        redirectSection.style.display = 'block';
+    }
+
+    // Explain the extra round trip Digest authentication needed
+    displayAuthChallenge(response) {
+        let authSection = document.querySelector('.response-auth');
+        const authChallenge = response.authChallenge;
+
+        if (!authChallenge) {
+            if (authSection) {
+                authSection.style.display = 'none';
+            }
+            return;
+        }
+
+        if (!authSection) {
+            authSection = document.createElement('div');
+            authSection.className = 'response-auth';
+            authSection.innerHTML = '<h3>🔐 Digest Challenge</h3><div class="redirect-chain"></div><small class="auth-note"></small>';
+            document.querySelector('.response-headers').before(authSection);
+        }
+
+        const chainElement = authSection.querySelector('.redirect-chain');
+        chainElement.innerHTML = '';
+
+        chainElement.appendChild(this.createRedirectHop(
+            authChallenge.statusCode,
+            `${authChallenge.url} (sent without credentials)`,
+            `WWW-Authenticate: ${authChallenge.wwwAuthenticate} · ${Math.round(authChallenge.timing.total)} ms`
+        ));
+
+        const arrow = document.createElement('div');
+        arrow.className = 'redirect-arrow';
+        arrow.textContent = '↓ resent with Authorization: Digest …';
+        chainElement.appendChild(arrow);
+
+        const finalHop = this.createRedirectHop(response.statusCode, `${authChallenge.url} (with credentials)`, response.statusText);
+        finalHop.classList.add('final');
+        chainElement.appendChild(finalHop);
+
+        authSection.querySelector('.auth-note').textContent =
+            'Digest never sends the password. The server first replies 401 with a nonce, and the client must ' +
+            'hash its credentials with that nonce and send the request again, which costs one extra round trip.';
+        authSection.style.display = 'block';
+    }
+
+    // Create one hop of the redirect chain (text only, URLs come from remote servers)
+    createRedirectHop(statusCode, url, detailText) {
+        const hop = document.createElement('div');
+        hop.className = 'redirect-hop';
+
+        const status = document.createElement('span');
+        status.className = 'redirect-status';
+        status.textContent = statusCode;
+
+        const details = document.createElement('div');
+        details.className = 'redirect-details';
+
+        const urlElement = document.createElement('div');
+        urlElement.className = 'redirect-url';
+        urlElement.textContent = url;
+
+        const small = document.createElement('small');
+        small.textContent = detailText;
+
+        details.appendChild(urlElement);
+        details.appendChild(small);
+        hop.appendChild(status);
+        hop.appendChild(details);
+
+        return hop;
+    }
+
+    // Display the raw request and response messages
+    displayRawExchange(raw) {
+        const note = document.getElementById('rawNote');
+        const requestElement = document.getElementById('rawRequest');
+        const responseElement = document.getElementById('rawResponse');
+
+        if (!raw) {
+            note.textContent = 'Served from cache: nothing was sent on the wire.';
+            requestElement.textContent = '(no request sent)';
+            responseElement.textContent = '(no response received)';
+            return;
+        }
+
+        note.textContent = raw.synthesized
+            ? 'Mock mode: these messages are synthesized exactly as a client and server would exchange them.'
+            : `Captured from the socket. Header names keep their original casing and order. Body: ${raw.responseBodyBytes} bytes on the wire.`;
+
+        requestElement.textContent = this.showLineEndings(raw.request);
+        responseElement.textContent = raw.response ? this.showLineEndings(raw.response) : '(no response received)';
+    }
+
+    // Mark CRLF line endings and the blank line that ends the header block
+    showLineEndings(message) {
+        const separator = message.indexOf('\r\n\r\n');
+        if (separator === -1) {
+            return message.replace(/\r\n/g, '␍␊\n');
+        }
+
+        const head = message.slice(0, separator + 2).replace(/\r\n/g, '␍␊\n');
+        const body = message.slice(separator + 4);
+        return `${head}␍␊\n${body}`;
+    }
+
     // Display cache status with expiry information
-    displayCacheStatus(cached, headers) {
+    displayCacheStatus(cached, headers, cacheInfo = null) {
         // Check if cache status section exists, if not create it
         let cacheStatusSection = document.querySelector('.cache-status-container');
         if (!cacheStatusSection) {
@@ -161,21 +643,28 @@ class HTTPVisualizer {
         if (cached) {
             const maxAge = this.extractMaxAge(headers['Cache-Control']);
             const lastModified = headers['Last-Modified'];
+
+            // A hit knows how much of the served entry's freshness lifetime is left
+            const lifetime = cacheInfo && cacheInfo.hit && cacheInfo.freshnessLifetime !== undefined ? cacheInfo.freshnessLifetime : null;
+            const remaining = lifetime !== null ? Math.floor(cacheInfo.remainingTime / 1000) : maxAge;
+            const percent = lifetime > 0 ? Math.round(Math.min(remaining / lifetime, 1) * 100) : 0;
             
             cacheStatusSection.innerHTML = `
                 <div class="cache-status cached">
                     <div class="cache-icon">✅</div>
                     <div class="cache-details">
                         <strong>Resource Cached</strong>
-                        <small>Content served from cache (304 Not Modified)</small>
-                        ${maxAge ? `
+                        <small>${headers['X-Cache-Lookup'] || 'Content served from cache (304 Not Modified)'}</small>
+                        ${lifetime !== null || maxAge ? `
                             <div class="cache-expiry">
-                                <div>Cache expires in: <strong>${maxAge} seconds</strong></div>
+                                <div>Cache expires in: <strong>${remaining} seconds</strong></div>
                                 <div>Last Modified: <strong>${lastModified || 'Unknown'}</strong></div>
-                                <div class="cache-expiry-bar">
-                                    <div class="cache-expiry-fill" style="width: 75%"></div>
-                                </div>
-                                <small style="display: block; margin-top: 5px;">Cache is fresh (75% remaining)</small>
+                                ${lifetime !== null ? `
+                                    <div class="cache-expiry-bar">
+                                        <div class="cache-expiry-fill" style="width: ${percent}%"></div>
+                                    </div>
+                                    <small style="display: block; margin-top: 5px;">${remaining > 0 ? `Cache is fresh (${percent}% of ${lifetime}s remaining)` : 'Cache is stale'}</small>
+                                ` : ''}
                             </div>
                         ` : ''}
                     </div>
@@ -246,12 +735,14 @@ class HTTPVisualizer {
 
         // Hide other cards
         document.getElementById('timelineCard').style.display = 'none';
+        document.getElementById('tlsCard').style.display = 'none';
         document.getElementById('responseCard').style.display = 'none';
     }
 
     // Clear all displays
     clearDisplay() {
         document.getElementById('timelineCard').style.display = 'none';
+        document.getElementById('tlsCard').style.display = 'none';
         document.getElementById('responseCard').style.display = 'none';
         document.getElementById('errorCard').style.display = 'none';
     }
@@ -264,11 +755,18 @@ class HTTPVisualizer {
             comparisonCard = document.createElement('div');
             comparisonCard.id = 'http2ComparisonCard';
             comparisonCard.className = 'card';
-            comparisonCard.innerHTML = '<h2>⚡ HTTP/1.1 vs HTTP/2 Comparison</h2><div id="comparisonContent"></div>';
+            comparisonCard.innerHTML = '<h2>⚡ Protocol Comparison</h2><div id="comparisonContent"></div>';
             document.querySelector('.results-section').appendChild(comparisonCard);
         }
 
         const comparisonContent = document.getElementById('comparisonContent');
+
+        // Simulated runs model all three protocols on the same link
+        if (http2Results.http3) {
+            this.displayProtocolModel(comparisonContent, http2Results);
+            comparisonCard.style.display = 'block';
+            return;
+        }
         
         // Create comparison containers
         comparisonContent.innerHTML = `
@@ -279,7 +777,8 @@ class HTTPVisualizer {
                     <div class="total-time">Total: ${http1Results.totalTime}ms</div>
                 </div>
                 <div class="protocol-section http2">
-                    <h3>🚀 HTTP/2 (Parallel)</h3>
+                    <h3>🚀 HTTP/2 (${http2Results.mode === 'real' ? 'Measured' : 'Parallel'})</h3>
+                    <div id="http2SessionInfo" class="http2-session-info"></div>
                     <div id="http2Requests"></div>
                     <div class="total-time">Total: ${http2Results.totalTime}ms</div>
                 </div>
@@ -297,8 +796,12 @@ class HTTPVisualizer {
         // Animate HTTP/1.1 requests (sequential)
         this.animateHTTP1Requests(http1Results.requests);
 
-        // Animate HTTP/2 requests (parallel)
-        this.animateHTTP2Requests(http2Results.requests);
+        // Animate HTTP/2 requests (parallel), or lay out the measured streams
+        if (http2Results.mode === 'real') {
+            this.displayHTTP2Streams(http2Results);
+        } else {
+            this.animateHTTP2Requests(http2Results.requests);
+        }
 
         comparisonCard.style.display = 'block';
     }
@@ -341,6 +844,189 @@ class HTTPVisualizer {
         });
     }
 
+    // HTTP/1.1, HTTP/2 and HTTP/3 side by side on one time axis
+    displayProtocolModel(container, results) {
+        const runs = [
+            { id: 'http1', label: '🐢 HTTP/1.1 (Sequential)', run: results.http1 },
+            { id: 'http2', label: '🚀 HTTP/2 (Multiplexed over TCP)', run: results },
+            { id: 'http3', label: '⚡ HTTP/3 (QUIC Streams)', run: results.http3 }
+        ];
+        const link = results.link;
+        const rate = (kbps) => kbps >= 1000 ? `${kbps / 1000} Mbps` : `${kbps} kbps`;
+        const fastest = runs.filter(({ run }) => !run.failed)
+            .reduce((best, entry) => (!best || entry.run.totalTime < best.run.totalTime ? entry : best), null);
+
+        container.innerHTML = `
+            <p class="http2-session-info">
+                ${results.networkProfile ? results.networkProfile.name : 'Default link'}: RTT ${link.rtt} ms, ${rate(link.bandwidthKbps)},
+                ${link.lossPercent}% packet loss, ${Math.round(link.responseBytes / 1024)} KB per response · seed ${results.seed}
+            </p>
+            <div class="comparison-container three">
+                ${runs.map(({ id, label, run }) => `
+                    <div class="protocol-section ${id}">
+                        <h3>${label}</h3>
+                        <div class="http2-session-info">${this.describeHandshake(run)}</div>
+                        <div id="${id}Requests"></div>
+                        <div class="total-time">Total: ${Math.round(run.totalTime)}ms</div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="comparison-summary">
+                <h4>📊 Performance Summary</h4>
+                ${runs.map(({ run }) => `
+                    <p>${run.protocol} Total Time: <strong>${Math.round(run.totalTime)}ms</strong>
+                        · ${run.packetsLost} packet(s) lost${run.headOfLineBlocking > 0 ? ` · ${Math.round(run.headOfLineBlocking)}ms of streams blocked behind other streams' losses` : ''}</p>
+                `).join('')}
+                ${fastest ? `<p><span class="winner-badge">${fastest.run.protocol} Wins! 🏆</span></p>` : ''}
+            </div>
+        `;
+
+        const scale = Math.max(...runs.map(({ run }) => run.totalTime), 1);
+        runs.forEach(({ id, run }) => this.displayModelledStreams(`${id}Requests`, run, scale));
+    }
+
+    // One line on how a protocol set up its connection
+    describeHandshake(run) {
+        if (run.handshake.failed) {
+            return `${run.transport}: handshake failed after ${Math.round(run.handshake.time)}ms`;
+        }
+        if (run.handshake.zeroRtt) {
+            return `${run.transport}: 0-RTT, requests sent in the first flight`;
+        }
+        return `${run.transport}: ${run.handshake.roundTrips}-RTT handshake, ${Math.round(run.handshake.time)}ms`;
+    }
+
+    // Lay out modelled streams; the hatched tail is time spent blocked behind another stream's loss
+    displayModelledStreams(containerId, run, scale) {
+        const container = document.getElementById(containerId);
+
+        run.requests.forEach((stream, index) => {
+            setTimeout(() => {
+                const requestBar = this.createRequestBar(stream, stream.id);
+                requestBar.title = [
+                    `${run.protocol} request ${stream.id} · ${stream.url}`,
+                    `Sent: ${stream.start}ms · Completed: ${stream.end}ms`,
+                    `${stream.lostPackets} of ${stream.packets} packet(s) lost`,
+                    stream.blockedTime > 0 ? `Head-of-line blocked: ${stream.blockedTime}ms` : null,
+                    stream.error ? `Error: ${stream.error}` : null
+                ].filter(Boolean).join('\n');
+
+                const progressBar = requestBar.querySelector('.request-progress-bar');
+                progressBar.style.marginLeft = `${(stream.start / scale) * 100}%`;
+                if (stream.error) progressBar.classList.add('failed');
+                if (stream.blockedTime > 0) {
+                    const blockedShare = (stream.blockedTime / Math.max(stream.time, 1)) * 100;
+                    progressBar.classList.add('blocked');
+                    progressBar.style.setProperty('--blocked-from', `${100 - blockedShare}%`);
+                }
+                container.appendChild(requestBar);
+
+                setTimeout(() => {
+                    progressBar.style.width = `${(Math.max(stream.end - stream.start, 0) / scale) * 100}%`;
+                }, 100);
+            }, index * 50);
+        });
+    }
+
+    // Show measured streams on a shared time axis
+    displayHTTP2Streams(results) {
+        const sessionInfo = document.getElementById('http2SessionInfo');
+        sessionInfo.textContent = `${results.requests.length} streams on 1 ${results.protocol} connection to ${results.origin} · connected in ${results.connectTime}ms`;
+
+        const container = document.getElementById('http2Requests');
+        const scale = Math.max(results.totalTime, 1);
+
+        results.requests.forEach((stream, index) => {
+            setTimeout(() => {
+                const requestBar = this.createRequestBar(stream, stream.streamId || '?');
+                requestBar.title = [
+                    `Stream ${stream.streamId} · ${stream.url}`,
+                    `Started: ${stream.start}ms`,
+                    `Headers received: ${stream.headersReceived !== null ? `${stream.headersReceived}ms` : '—'}`,
+                    `Completed: ${stream.end}ms`,
+                    stream.error ? `Error: ${stream.error}` : `Status: ${stream.statusCode} · ${stream.bytes} bytes`
+                ].join('\n');
+
+                const progressBar = requestBar.querySelector('.request-progress-bar');
+                progressBar.style.marginLeft = `${(stream.start / scale) * 100}%`;
+                if (stream.error) progressBar.classList.add('failed');
+                container.appendChild(requestBar);
+
+                setTimeout(() => {
+                    progressBar.style.width = `${((stream.end - stream.start) / scale) * 100}%`;
+                }, 100);
+            }, index * 50);
+        });
+    }
+
+    // Display keep-alive vs close results with per-request sockets
+    displayConnectionComparison(comparison) {
+        let comparisonCard = document.getElementById('connectionComparisonCard');
+        if (!comparisonCard) {
+            comparisonCard = document.createElement('div');
+            comparisonCard.id = 'connectionComparisonCard';
+            comparisonCard.className = 'card';
+            comparisonCard.innerHTML = '<h2>🔁 Keep-Alive vs Close</h2><div id="connectionComparisonContent"></div>';
+            document.querySelector('.results-section').appendChild(comparisonCard);
+        }
+
+        const content = document.getElementById('connectionComparisonContent');
+        content.innerHTML = `
+            <div class="comparison-container">
+                <div class="protocol-section http2">
+                    <h3>🔗 Keep-Alive</h3>
+                    <div id="keepAliveSockets" class="socket-list"></div>
+                    <div class="total-time">Total: ${Math.round(comparison.keepAlive.totalTime)}ms</div>
+                </div>
+                <div class="protocol-section http1">
+                    <h3>✂️ Close</h3>
+                    <div id="closeSockets" class="socket-list"></div>
+                    <div class="total-time">Total: ${Math.round(comparison.close.totalTime)}ms</div>
+                </div>
+            </div>
+            <div class="comparison-summary">
+                <h4>📊 Connection Summary</h4>
+                <p>Keep-Alive: <strong>${comparison.keepAlive.socketsOpened}</strong> socket(s) opened, <strong>${comparison.keepAlive.reusedCount}</strong> of ${comparison.count} requests reused a socket</p>
+                <p>Close: <strong>${comparison.close.socketsOpened}</strong> socket(s) opened, <strong>${comparison.close.reusedCount}</strong> of ${comparison.count} requests reused a socket</p>
+                <p>Handshake time (DNS + TCP + TLS): <strong>${comparison.keepAlive.handshakeTime}ms</strong> vs <strong>${comparison.close.handshakeTime}ms</strong></p>
+                <p>Handshake time saved by Keep-Alive: <strong>${comparison.handshakeTimeSaved}ms</strong></p>
+            </div>
+        `;
+
+        this.fillSocketList(document.getElementById('keepAliveSockets'), comparison.keepAlive.requests);
+        this.fillSocketList(document.getElementById('closeSockets'), comparison.close.requests);
+
+        comparisonCard.style.display = 'block';
+    }
+
+    // One row per request: socket, reuse and handshake cost
+    fillSocketList(container, requests) {
+        requests.forEach(request => {
+            const timing = request.timing || { dns: 0, tcp: 0, tls: 0, total: 0 };
+            const handshake = Math.round((timing.dns + timing.tcp + timing.tls) * 10) / 10;
+
+            const row = document.createElement('div');
+            row.className = `socket-row ${request.reused ? 'reused' : 'new'}`;
+
+            const label = document.createElement('span');
+            label.className = 'socket-label';
+            label.textContent = `#${request.id} · Socket ${request.socketId !== null ? request.socketId : '?'}${request.localPort ? ` (:${request.localPort})` : ''}`;
+
+            const status = document.createElement('span');
+            status.className = 'socket-status';
+            status.textContent = request.error ? `Error: ${request.error}` : (request.reused ? 'Reused' : 'New connection');
+
+            const time = document.createElement('span');
+            time.className = 'socket-time';
+            time.textContent = `${handshake}ms handshake · ${timing.total}ms`;
+
+            row.appendChild(label);
+            row.appendChild(status);
+            row.appendChild(time);
+            container.appendChild(row);
+        });
+    }
+
     // Create request bar element
     createRequestBar(request, number) {
         const div = document.createElement('div');
@@ -355,6 +1041,449 @@ class HTTPVisualizer {
         return div;
     }
 
+    // Display a page load as a waterfall: one row per resource, split into connection phases
+    displayPageWaterfall(page) {
+        let waterfallCard = document.getElementById('pageWaterfallCard');
+        if (!waterfallCard) {
+            waterfallCard = document.createElement('div');
+            waterfallCard.id = 'pageWaterfallCard';
+            waterfallCard.className = 'card';
+            waterfallCard.innerHTML = '<h2>📄 Page Load Waterfall</h2><div id="pageWaterfallContent"></div>';
+            document.querySelector('.results-section').appendChild(waterfallCard);
+        }
+
+        const { milestones, summary } = page;
+        const scale = Math.max(milestones.load, 1);
+        const link = page.networkProfile
+            ? `${page.networkProfile.name} profile`
+            : `RTT ${page.link.rtt}ms${page.source === 'real' ? ' (measured)' : ''}`;
+        const content = document.getElementById('pageWaterfallContent');
+
+        content.innerHTML = `
+            <p class="waterfall-summary" id="waterfallSummary"></p>
+            <div class="waterfall-legend">
+                ${['queued', 'dns', 'connect', 'tls', 'waiting', 'download'].map(phase => `<span class="waterfall-key ${phase}"></span>${phase}`).join('')}
+                <span class="waterfall-key milestone first-render"></span>First render
+                <span class="waterfall-key milestone dcl"></span>DOMContentLoaded
+                <span class="waterfall-key milestone load"></span>Load
+            </div>
+            <div class="waterfall" id="waterfallRows"></div>
+            <div class="comparison-summary">
+                <h4>📊 Page Summary</h4>
+                <p>First render: <strong>${milestones.firstRender}ms</strong> · DOMContentLoaded: <strong>${milestones.domContentLoaded}ms</strong> · Load: <strong>${milestones.load}ms</strong></p>
+                <p><strong>${summary.requests}</strong> request(s) to ${summary.hosts} host(s) over ${summary.connections} connection(s), ${(summary.totalBytes / 1024).toFixed(1)} KB in total</p>
+                <p>Render-blocking resources: <strong>${summary.renderBlocking}</strong> · Time spent queued for a connection: <strong>${summary.queuedTime}ms</strong></p>
+                ${summary.estimatedSizes > 0 ? `<p>${summary.estimatedSizes} size(s) are typical values for the resource type (marked ≈)</p>` : ''}
+            </div>
+        `;
+
+        document.getElementById('waterfallSummary').textContent =
+            `${page.source === 'real' ? 'Fetched' : `Sample page "${page.template}" at`} ${page.url} · ` +
+            `${link} · ${page.link.maxConnectionsPerHost} connection(s) per host · 🎲 Seed ${page.seed}`;
+
+        const rows = document.getElementById('waterfallRows');
+        page.entries.forEach(entry => rows.appendChild(this.createWaterfallRow(entry, scale)));
+
+        // Milestone lines span every row
+        [['first-render', milestones.firstRender], ['dcl', milestones.domContentLoaded], ['load', milestones.load]].forEach(([name, time]) => {
+            const line = document.createElement('div');
+            line.className = `waterfall-milestone ${name}`;
+            line.style.setProperty('--at-ratio', time / scale);
+            rows.appendChild(line);
+        });
+
+        waterfallCard.style.display = 'block';
+    }
+
+    // One resource: label, then its phases laid end to end from the time it was discovered
+    createWaterfallRow(entry, scale) {
+        const row = document.createElement('div');
+        row.className = `waterfall-row${entry.renderBlocking ? ' render-blocking' : ''}`;
+
+        const name = new URL(entry.url).pathname.split('/').filter(Boolean).pop() || entry.host;
+        const label = document.createElement('div');
+        label.className = 'waterfall-label';
+        label.textContent = `${entry.renderBlocking ? '⛔ ' : ''}${name}`;
+
+        const type = document.createElement('span');
+        type.className = 'waterfall-type';
+        type.textContent = `${entry.type} · ${entry.priority}${entry.sizeEstimated ? ' · ≈' : ' · '}${(entry.size / 1024).toFixed(1)} KB`;
+        label.appendChild(type);
+
+        const track = document.createElement('div');
+        track.className = 'waterfall-track';
+
+        const bar = document.createElement('div');
+        bar.className = 'waterfall-bar';
+        bar.style.marginLeft = `${(entry.discoveredAt / scale) * 100}%`;
+        bar.style.width = `${(Math.max(entry.end - entry.discoveredAt, 0) / scale) * 100}%`;
+
+        const total = Math.max(entry.end - entry.discoveredAt, 1);
+        Object.entries(entry.timing).forEach(([phase, duration]) => {
+            if (duration <= 0) return;
+            const segment = document.createElement('div');
+            segment.className = `waterfall-phase ${phase}`;
+            segment.style.width = `${(duration / total) * 100}%`;
+            bar.appendChild(segment);
+        });
+
+        row.title = [
+            entry.url,
+            `${entry.type} · priority ${entry.priority} · initiated by ${entry.initiator}`,
+            `Discovered ${entry.discoveredAt}ms · finished ${entry.end}ms on connection ${entry.connectionId}${entry.newConnection ? ' (new)' : ''}`,
+            Object.entries(entry.timing).map(([phase, duration]) => `${phase} ${duration}ms`).join(' · '),
+            entry.parserBlocking ? 'Blocks the parser' : null,
+            entry.renderBlocking ? 'Blocks rendering' : null,
+            entry.async ? 'async' : null,
+            entry.defer ? 'defer' : null
+        ].filter(Boolean).join('\n');
+
+        track.appendChild(bar);
+        row.appendChild(label);
+        row.appendChild(track);
+        return row;
+    }
+
+    // Display TLS handshakes side by side as sequence diagrams on one time scale
+    displayTlsHandshakes(comparison) {
+        let tlsCompareCard = document.getElementById('tlsComparisonCard');
+        if (!tlsCompareCard) {
+            tlsCompareCard = document.createElement('div');
+            tlsCompareCard.id = 'tlsComparisonCard';
+            tlsCompareCard.className = 'card';
+            tlsCompareCard.innerHTML = '<h2>🔐 TLS 1.2 vs TLS 1.3 Handshakes</h2><div id="tlsComparisonContent"></div>';
+            document.querySelector('.results-section').appendChild(tlsCompareCard);
+        }
+
+        const { link, scenarios } = comparison;
+        const scale = Math.max(...scenarios.map(scenario => scenario.flights[scenario.flights.length - 1].arrivedAt), 1);
+        const bandwidth = (kbps) => kbps >= 1000 ? `${kbps / 1000} Mbps` : `${kbps} kbps`;
+        const content = document.getElementById('tlsComparisonContent');
+
+        content.innerHTML = `
+            <p class="sequence-summary">
+                RTT ${link.rtt}ms · ${bandwidth(link.downlinkKbps)} down / ${bandwidth(link.uplinkKbps)} up${comparison.networkProfile ? ` (${comparison.networkProfile.name} profile)` : ''}
+            </p>
+            <div class="sequence-legend">
+                <span class="sequence-key tcp"></span>TCP
+                <span class="sequence-key tls"></span>TLS
+                <span class="sequence-key http"></span>HTTP
+                <span class="sequence-key early"></span>0-RTT early data
+                <span class="sequence-note">{ } handshake keys · [ ] application keys · ( ) early data keys</span>
+            </div>
+            <div class="sequence-grid" id="tlsSequenceGrid"></div>
+            <div class="comparison-summary">
+                <h4>📊 Time to First Byte</h4>
+                ${scenarios.map(scenario => `
+                    <p>${scenario.name}: <strong>${scenario.firstByteAt}ms</strong> ·
+                    ${scenario.tlsRoundTrips}-RTT handshake (${scenario.handshakeTime}ms)${scenario.savedVsTls12 > 0 ? ` · ${scenario.savedVsTls12}ms faster than TLS 1.2` : ''}</p>
+                `).join('')}
+            </div>
+        `;
+
+        const grid = document.getElementById('tlsSequenceGrid');
+        scenarios.forEach(scenario => grid.appendChild(this.createSequenceDiagram(scenario, scale)));
+
+        tlsCompareCard.style.display = 'block';
+    }
+
+    // Client and server lifelines with one sloped arrow per flight; slope is the one-way delay
+    createSequenceDiagram(scenario, scale) {
+        const width = 320;
+        const clientX = 60;
+        const serverX = 260;
+        const top = 40;
+        const pxPerMs = 480 / scale;
+        const height = top + scale * pxPerMs + 20;
+        const y = (time) => top + time * pxPerMs;
+
+        const diagram = document.createElement('div');
+        diagram.className = `sequence-diagram ${scenario.version === 'TLS 1.3' ? 'tls13' : 'tls12'}`;
+
+        const title = document.createElement('h3');
+        title.textContent = scenario.name;
+        diagram.appendChild(title);
+
+        const svg = this.svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'sequence-svg' });
+        svg.appendChild(this.svgElement('text', { x: clientX, y: 16, class: 'sequence-actor' }, 'Client'));
+        svg.appendChild(this.svgElement('text', { x: serverX, y: 16, class: 'sequence-actor' }, 'Server'));
+        [clientX, serverX].forEach(x => {
+            svg.appendChild(this.svgElement('line', { x1: x, y1: 24, x2: x, y2: height, class: 'sequence-lifeline' }));
+        });
+
+        scenario.flights.forEach(flight => {
+            const fromX = flight.from === 'client' ? clientX : serverX;
+            const toX = flight.from === 'client' ? serverX : clientX;
+            const layer = flight.messages.some(message => message.encryption === 'early') ? 'early'
+                : flight.messages.some(message => message.layer === 'http') ? 'http'
+                    : flight.messages.some(message => message.layer === 'tls') ? 'tls' : 'tcp';
+
+            const arrow = this.svgElement('line', {
+                x1: fromX, y1: y(flight.sentAt), x2: toX, y2: y(flight.arrivedAt),
+                class: `sequence-arrow ${layer}`
+            });
+            arrow.appendChild(this.svgElement('title', {}, `${flight.bytes} bytes · sent ${flight.sentAt}ms · arrived ${flight.arrivedAt}ms`));
+            svg.appendChild(arrow);
+
+            // Arrowhead at the receiving lifeline
+            const direction = toX > fromX ? -1 : 1;
+            const tipY = y(flight.arrivedAt);
+            svg.appendChild(this.svgElement('polygon', {
+                points: `${toX},${tipY} ${toX + direction * 8},${tipY - 6} ${toX + direction * 8},${tipY + 2}`,
+                class: `sequence-head ${layer}`
+            }));
+            svg.appendChild(this.svgElement('text', {
+                x: toX - direction * 4, y: tipY + 4,
+                class: 'sequence-time',
+                'text-anchor': toX > fromX ? 'start' : 'end'
+            }, `${Math.round(flight.arrivedAt)}ms`));
+
+            // Message names stacked over the middle of the arrow, in RFC 8446 bracket notation
+            const middle = (y(flight.sentAt) + y(flight.arrivedAt)) / 2;
+            flight.messages.forEach((message, index) => {
+                const name = message.encryption === 'handshake' ? `{${message.name}}`
+                    : message.encryption === 'application' ? `[${message.name}]`
+                        : message.encryption === 'early' ? `(${message.name})` : message.name;
+                svg.appendChild(this.svgElement('text', {
+                    x: width / 2,
+                    y: middle + (index - flight.messages.length) * 10 + 2,
+                    class: `sequence-message ${message.layer}`
+                }, name));
+            });
+        });
+
+        // First byte of the response
+        const firstByte = y(scenario.firstByteAt);
+        svg.appendChild(this.svgElement('line', { x1: 0, y1: firstByte, x2: width, y2: firstByte, class: 'sequence-first-byte' }));
+        svg.appendChild(this.svgElement('text', { x: 2, y: firstByte - 3, class: 'sequence-time', 'text-anchor': 'start' }, `First byte ${scenario.firstByteAt}ms`));
+
+        diagram.appendChild(svg);
+
+        const notes = document.createElement('ul');
+        notes.className = 'sequence-notes';
+        scenario.notes.forEach(note => {
+            const item = document.createElement('li');
+            item.textContent = note;
+            notes.appendChild(item);
+        });
+        diagram.appendChild(notes);
+
+        return diagram;
+    }
+
+    // Namespaced SVG element with attributes and optional text
+    svgElement(name, attributes, text) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    // Display each DNS query and response as a step, then what the caches now hold
+    displayDnsResolution(lookup) {
+        let dnsCard = document.getElementById('dnsResolutionCard');
+        if (!dnsCard) {
+            dnsCard = document.createElement('div');
+            dnsCard.id = 'dnsResolutionCard';
+            dnsCard.className = 'card';
+            dnsCard.innerHTML = '<h2>🌍 DNS Resolution</h2><div id="dnsResolutionContent"></div>';
+            document.querySelector('.results-section').appendChild(dnsCard);
+        }
+
+        const sources = {
+            'os cache': 'answered from the OS cache',
+            'resolver cache': "answered from the recursive resolver's cache",
+            'authoritative': 'resolved through the DNS hierarchy',
+            'hosts file': 'answered from the hosts file',
+            'ip literal': 'an IP address needs no lookup'
+        };
+        const content = document.getElementById('dnsResolutionContent');
+        content.innerHTML = `
+            <p class="sequence-summary" id="dnsSummary"></p>
+            <div class="dns-steps" id="dnsSteps"></div>
+            <div class="comparison-container">
+                <div class="protocol-section http2">
+                    <h3>💻 OS Cache</h3>
+                    <div id="dnsOsCache" class="socket-list"></div>
+                </div>
+                <div class="protocol-section http1">
+                    <h3>🏢 Resolver Cache</h3>
+                    <div id="dnsResolverCache" class="socket-list"></div>
+                </div>
+            </div>
+        `;
+
+        const answer = lookup.nodata ? `no ${lookup.type} record (NODATA)` : lookup.addresses.join(', ');
+        document.getElementById('dnsSummary').textContent =
+            `${lookup.hostname} ${lookup.type} → ${answer} · ${sources[lookup.source]} in ${lookup.time}ms`;
+
+        const steps = document.getElementById('dnsSteps');
+        lookup.steps.forEach(step => {
+            const row = document.createElement('div');
+            row.className = `dns-step ${step.result.replace(/\s+/g, '-')}`;
+
+            const route = document.createElement('span');
+            route.className = 'socket-label';
+            route.textContent = `${step.step}. ${step.from} → ${step.to}${step.server ? ` (${step.server})` : ''}`;
+
+            const result = document.createElement('span');
+            result.className = 'socket-status';
+            result.textContent = `${step.query} · ${step.result}${step.remainingTtl !== undefined ? ` · TTL ${step.remainingTtl}s left` : ''} · ${step.duration}ms`;
+
+            row.appendChild(route);
+            row.appendChild(result);
+
+            (step.records || []).forEach(record => {
+                const line = document.createElement('span');
+                line.className = 'socket-time';
+                line.textContent = record;
+                row.appendChild(line);
+            });
+
+            steps.appendChild(row);
+        });
+
+        this.displayDnsCache(lookup.cache);
+        dnsCard.style.display = 'block';
+    }
+
+    // Per-tier fill level, hit ratio and evictions under the active limits
+    displayCacheCapacity(stats) {
+        const container = document.getElementById('cacheCapacityStats');
+        container.classList.remove('hidden');
+        container.innerHTML = '';
+
+        const { limits } = stats;
+        stats.tiers.forEach(tier => {
+            const row = document.createElement('div');
+            row.className = `socket-row${tier.evictions === 0 ? ' reused' : ''}`;
+
+            const label = document.createElement('span');
+            label.className = 'socket-label';
+            label.textContent = tier.name;
+
+            const fill = document.createElement('span');
+            fill.className = 'socket-status';
+            fill.textContent = `${tier.entries}/${limits.maxEntries} entries · ${(tier.size / 1024).toFixed(1)}/${Math.round(limits.maxBytes / 1024)} KB`;
+
+            const ratio = document.createElement('span');
+            ratio.className = 'socket-time';
+            ratio.textContent = [
+                tier.hitRatio === null ? 'no lookups yet' : `hit ratio ${Math.round(tier.hitRatio * 100)}% (${tier.hits}/${tier.hits + tier.misses})`,
+                `${tier.evictions} evicted`
+            ].join(' · ');
+
+            row.appendChild(label);
+            row.appendChild(fill);
+            row.appendChild(ratio);
+            container.appendChild(row);
+        });
+
+        if (stats.evictions.length > 0) {
+            const recent = document.createElement('small');
+            recent.className = 'cache-capacity-note';
+            recent.textContent = `Recent evictions (${limits.policy.toUpperCase()}): ${stats.evictions.slice(0, 5)
+                .map(eviction => `${eviction.key} from ${eviction.tier}${eviction.reason === 'expired' ? ' (expired)' : ''}`)
+                .join(', ')}`;
+            container.appendChild(recent);
+        }
+    }
+
+    // Every stored entry, its freshness counting down until the next refresh
+    displayCacheInspector(stats) {
+        const card = document.getElementById('cacheInspectorCard');
+        const container = document.getElementById('cacheInspector');
+        card.style.display = 'block';
+        container.innerHTML = '';
+        clearInterval(this.cacheInspectorTimer);
+
+        if (stats.entries.length === 0) {
+            container.textContent = 'No cached responses';
+            return;
+        }
+
+        const tierNames = Object.fromEntries(stats.tiers.map(tier => [tier.id, tier.name]));
+        const loadedAt = Date.now();
+        const rows = stats.entries.map(entry => {
+            const row = document.createElement('div');
+
+            const label = document.createElement('span');
+            label.className = 'socket-label cache-entry-key';
+            label.textContent = entry.key;
+
+            const invalidate = document.createElement('button');
+            invalidate.type = 'button';
+            invalidate.className = 'btn-small';
+            invalidate.textContent = 'Invalidate';
+            Object.assign(invalidate.dataset, { url: entry.url, method: entry.method, tier: entry.tier, key: entry.key });
+
+            const details = document.createElement('span');
+            details.className = 'socket-time';
+
+            row.appendChild(label);
+            row.appendChild(invalidate);
+            row.appendChild(details);
+            container.appendChild(row);
+
+            return { entry, row, details };
+        });
+
+        const tick = () => {
+            const elapsed = Math.floor((Date.now() - loadedAt) / 1000);
+            rows.forEach(({ entry, row, details }) => {
+                const remaining = Math.max(0, entry.remainingTime - elapsed);
+                row.className = `socket-row${remaining > 0 ? ' reused' : ''}`;
+                details.textContent = [
+                    tierNames[entry.tier],
+                    `${entry.size} B`,
+                    `age ${entry.age + elapsed}s`,
+                    remaining > 0 ? `fresh for ${remaining}s of ${entry.freshnessLifetime}s` : `stale (lifetime ${entry.freshnessLifetime}s, ${entry.lifetimeRule})`,
+                    `ETag ${entry.etag || 'none'}`,
+                    `${entry.accessCount} hit(s)`
+                ].join(' · ');
+            });
+        };
+
+        tick();
+        this.cacheInspectorTimer = setInterval(tick, 1000);
+    }
+
+    // List cached record sets with the TTL they have left
+    displayDnsCache(cache) {
+        [['dnsOsCache', cache.os], ['dnsResolverCache', cache.resolver]].forEach(([id, entries]) => {
+            const container = document.getElementById(id);
+            if (!container) return;
+            container.innerHTML = '';
+
+            if (entries.length === 0) {
+                container.textContent = 'Empty';
+                return;
+            }
+
+            entries.forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'socket-row reused';
+
+                const label = document.createElement('span');
+                label.className = 'socket-label';
+                label.textContent = `${entry.name} ${entry.type}`;
+
+                const ttl = document.createElement('span');
+                ttl.className = 'socket-status';
+                ttl.textContent = `${entry.remainingTtl}s of ${entry.ttl}s`;
+
+                const records = document.createElement('span');
+                records.className = 'socket-time';
+                records.textContent = entry.nodata ? 'NODATA' : `${entry.records.length} record(s)`;
+
+                row.appendChild(label);
+                row.appendChild(ttl);
+                row.appendChild(records);
+                container.appendChild(row);
+            });
+        });
+    }
+
     // Display request type indicator (Real vs Mock) - FIXED
     displayRequestType(isReal) {
         let requestTypeIndicator = document.querySelector('.request-type-indicator');
@@ -0,0 +1,111 @@
+// Build custom headers, query parameters and request body
+
+class RequestBuilder {
+    constructor() {
+        this.queryParamsEditor = document.getElementById('queryParamsEditor');
+        this.headersEditor = document.getElementById('headersEditor');
+        this.bodyGroup = document.getElementById('bodyGroup');
+        this.bodyTypeSelect = document.getElementById('bodyType');
+        this.bodyInput = document.getElementById('requestBody');
+        this.authTypeSelect = document.getElementById('authType');
+        this.bodyPlaceholders = {
+            json: '{\n  "name": "value"\n}',
+            form: 'name=value&other=123',
+            text: 'Plain text body',
+            xml: '<?xml version="1.0"?>\n<item>\n  <name>value</name>\n</item>'
+        };
+    }
+
+    // Wire up the editor controls
+    init(methodSelect) {
+        document.getElementById('addQueryParamBtn').addEventListener('click', () => {
+            this.addRow(this.queryParamsEditor, 'name', 'value');
+        });
+
+        document.getElementById('addHeaderBtn').addEventListener('click', () => {
+            this.addRow(this.headersEditor, 'Header-Name', 'value');
+        });
+
+        this.bodyTypeSelect.addEventListener('change', () => {
+            this.bodyInput.placeholder = this.bodyPlaceholders[this.bodyTypeSelect.value];
+        });
+        this.bodyInput.placeholder = this.bodyPlaceholders[this.bodyTypeSelect.value];
+
+        // Show only the fields the selected auth scheme needs
+        const toggleAuthFields = () => {
+            document.querySelectorAll('.auth-fields').forEach(fields => {
+                const schemes = fields.dataset.auth.split(' ');
+                fields.classList.toggle('hidden', !schemes.includes(this.authTypeSelect.value));
+            });
+        };
+        this.authTypeSelect.addEventListener('change', toggleAuthFields);
+        toggleAuthFields();
+
+        // Only methods that carry a payload get the body editor
+        const toggleBody = () => {
+            const hasBody = methodSelect.value === 'POST' || methodSelect.value === 'PUT';
+            this.bodyGroup.classList.toggle('hidden', !hasBody);
+        };
+        methodSelect.addEventListener('change', toggleBody);
+        toggleBody();
+    }
+
+    // Add a key/value row to an editor
+    addRow(editor, keyPlaceholder, valuePlaceholder) {
+        const row = document.createElement('div');
+        row.className = 'kv-row';
+        row.innerHTML = `
+            <input type="checkbox" class="kv-enabled" checked title="Include this row">
+            <input type="text" class="kv-key" placeholder="${keyPlaceholder}">
+            <input type="text" class="kv-value" placeholder="${valuePlaceholder}">
+            <button type="button" class="kv-remove" title="Remove">✕</button>
+        `;
+        row.querySelector('.kv-remove').addEventListener('click', () => row.remove());
+        editor.appendChild(row);
+        row.querySelector('.kv-key').focus();
+    }
+
+    // Read rows from an editor in display order
+    readRows(editor) {
+        return Array.from(editor.querySelectorAll('.kv-row'))
+            .map(row => ({
+                key: row.querySelector('.kv-key').value.trim(),
+                value: row.querySelector('.kv-value').value,
+                enabled: row.querySelector('.kv-enabled').checked
+            }))
+            .filter(row => row.key !== '');
+    }
+
+    // Read the auth section for the selected scheme
+    getAuth() {
+        const value = (id) => document.getElementById(id).value;
+
+        switch (this.authTypeSelect.value) {
+            case 'basic':
+            case 'digest':
+                return { type: this.authTypeSelect.value, username: value('authUsername').trim(), password: value('authPassword') };
+            case 'bearer':
+                return { type: 'bearer', token: value('authToken').trim() };
+            case 'apikey':
+                return { type: 'apikey', key: value('apiKeyName').trim(), value: value('apiKeyValue'), in: value('apiKeyIn') };
+            default:
+                return { type: 'none' };
+        }
+    }
+
+    // Collect everything the builder adds to a simulation request
+    getPayload() {
+        const includeBody = !this.bodyGroup.classList.contains('hidden');
+
+        return {
+            headers: this.readRows(this.headersEditor),
+            queryParams: this.readRows(this.queryParamsEditor),
+            body: includeBody && this.bodyInput.value !== '' ? this.bodyInput.value : undefined,
+            bodyType: this.bodyTypeSelect.value,
+            auth: this.getAuth()
+        };
+    }
+}
+
+// Export instance
+const requestBuilder = new RequestBuilder();
\ No newline at end of file
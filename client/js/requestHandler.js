@@ -16,15 +16,13 @@ class RequestHandler {
                 body: JSON.stringify(requestData)
             });
 
-            // Handle packet loss (status 0)
-            if (response.status === 0) {
-                throw new Error('Packet Lost');
-            }
-
             const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(data.error || 'Request failed');
+                const error = new Error(data.message ? `${data.error}: ${data.message}` : (data.error || 'Request failed'));
+                // Failed simulations can still carry a timeline worth showing
+                error.details = data;
+                throw error;
             }
 
             return data;
@@ -34,21 +32,45 @@ class RequestHandler {
         }
     }
 
+    // Compare keep-alive and close with real connections
+    async compareConnections(url, count, method) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/compare-connections`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ url, count, method })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Connection comparison failed');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Connection comparison error:', error);
+            throw error;
+        }
+    }
+
     // Simulate HTTP/2 concurrent requests
-    async simulateHTTP2(requests, delay) {
+    async simulateHTTP2(requests, delay, options = {}) {
         try {
             const response = await fetch(`${this.apiBaseUrl}/simulate-http2`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ requests, delay })
+                body: JSON.stringify({ requests, delay, ...options })
             });
 
             const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(data.error || 'HTTP/2 simulation failed');
+                throw new Error(data.message || data.error || 'HTTP/2 simulation failed');
             }
 
             return data;
@@ -58,6 +80,160 @@ class RequestHandler {
         }
     }
 
+    // Simulate loading a page and its subresources
+    async simulatePage(options) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/simulate-page`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(options)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Page load simulation failed');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Page load simulation error:', error);
+            throw error;
+        }
+    }
+
+    // Compare TLS 1.2 and TLS 1.3 handshakes
+    async simulateTLS(options) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/simulate-tls`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(options)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'TLS handshake comparison failed');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('TLS handshake comparison error:', error);
+            throw error;
+        }
+    }
+
+    // Resolve a hostname through the simulated DNS hierarchy
+    async simulateDNS(options) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/simulate-dns`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(options)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'DNS resolution failed');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('DNS resolution error:', error);
+            throw error;
+        }
+    }
+
+    // Empty the simulated OS and resolver caches
+    async clearDNSCache() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/dns/clear`, { method: 'POST' });
+            return await response.json();
+        } catch (error) {
+            console.error('DNS cache clear error:', error);
+            throw error;
+        }
+    }
+
+    // Capacity limits and eviction policy of the HTTP cache tiers
+    async getCacheConfig() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/cache/config`);
+            return await response.json();
+        } catch (error) {
+            console.error('Cache config error:', error);
+            throw error;
+        }
+    }
+
+    // Change the cache limits or eviction policy
+    async configureCache(settings) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/cache/config`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(settings)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Setting cache limits failed');
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Cache config error:', error);
+            throw error;
+        }
+    }
+
+    // Entries, hit ratios and evictions of every cache tier
+    async getCacheStats() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/cache/stats`);
+            return await response.json();
+        } catch (error) {
+            console.error('Cache stats error:', error);
+            throw error;
+        }
+    }
+
+    // Empty every cache tier and reset its counters
+    async clearCache() {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/cache/clear`, { method: 'POST' });
+            return await response.json();
+        } catch (error) {
+            console.error('Cache clear error:', error);
+            throw error;
+        }
+    }
+
+    // Remove one stored entry from one tier
+    async invalidateCacheEntry(entry) {
+        try {
+            const query = new URLSearchParams({ method: entry.method, tier: entry.tier, key: entry.key });
+            const response = await fetch(`${this.apiBaseUrl}/cache/${encodeURIComponent(entry.url)}?${query}`, {
+                method: 'DELETE'
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Cache invalidate error:', error);
+            throw error;
+        }
+    }
+
     // Test API connection
     async testConnection() {
         try {
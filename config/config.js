@@ -12,6 +12,32 @@ module.exports = {
     // HTTP settings
     DEFAULT_TIMEOUT: 30000, // 30 seconds
     
+    // Response body limits (bytes)
+    MAX_RESPONSE_SIZE: 10 * 1024 * 1024, // Larger downloads are aborted
+    MAX_BODY_SIZE: 2 * 1024 * 1024, // Kept in the simulation result, the rest is truncated
+    
+    // Capacity of each simulated HTTP cache tier; changeable at runtime via /api/cache/config
+    CACHE: {
+        MAX_ENTRIES: 50,
+        MAX_BYTES: 1024 * 1024, // 1 MB
+        EVICTION_POLICY: 'lru' // lru, lfu, fifo or ttl
+    },
+
+    // How the mock server's successful responses may be cached
+    MOCK_CACHE: {
+        MAX_AGE: 30, // Seconds a mock response stays fresh
+        CHANGE_INTERVAL: 120 // Seconds between new versions of each mock resource
+    },
+    
+    // Destinations real requests may reach (SSRF protection)
+    DESTINATION_POLICY: {
+        BLOCK_PRIVATE_ADDRESSES: true, // Loopback, private, link-local/metadata, reserved and multicast ranges
+        // Hostnames ("*.example.com" for subdomains), IPs or CIDR ranges exempt from the private-address rules
+        ALLOW: [],
+        // Hostnames, IPs or CIDR ranges that are always refused
+        DENY: ['localhost', '*.localhost', '*.internal', 'metadata.google.internal']
+    },
+    
     // Response simulation
     MOCK_RESPONSES: {
         SUCCESS: {
@@ -4,6 +4,22 @@ const mockResponse = require('../utils/mockResponse');
 const realRequestHandler = require('../utils/realRequestHandler');
 const cacheSimulator = require('../utils/cacheSimulator');
 const cookieHandler = require('../utils/cookieHandler');
+const requestBuilder = require('../utils/requestBuilder');
+const wireFormatter = require('../utils/wireFormatter');
+const authHandler = require('../utils/authHandler');
+const http2Client = require('../utils/http2Client');
+const localH2Server = require('../utils/localH2Server');
+const connectionComparison = require('../utils/connectionComparison');
+const destinationPolicy = require('../utils/destinationPolicy');
+const networkProfiles = require('../utils/networkProfiles');
+const packetLossModel = require('../utils/packetLoss');
+const tcpModel = require('../utils/tcpModel');
+const seededRandom = require('../utils/seededRandom');
+const protocolModel = require('../utils/protocolModel');
+const pageLoad = require('../utils/pageLoad');
+const pageTemplates = require('../utils/pageTemplates');
+const tlsHandshake = require('../utils/tlsHandshake');
+const dnsResolver = require('../utils/dnsResolver');
 
 /**
  * Main simulation endpoint
@@ -11,25 +27,48 @@ const cookieHandler = require('../utils/cookieHandler');
 router.post('/simulate-request', async (req, res) => {
     try {
         const {
-            url,
-            method = 'GET',
             delay = 0,
             packetLoss = 0,
             connectionType = 'keep-alive',
             useCache = false,
             useCookies = false,
-            useRealRequest = false
+            useRealRequest = false,
+            networkProfile = 'none',
+            customProfile = null,
+            mockResponseSize = 0
         } = req.body;
 
-        console.log(`📬 Simulation request: ${method} ${url}`);
+        // Apply user-defined headers, query parameters and body
+        const built = requestBuilder.buildRequest(req.body);
+        if (!built.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: built.error
+            });
+        }
+        const { url, method } = built;
+
+        const resolvedProfile = networkProfiles.resolveProfile(networkProfile, customProfile);
+        if (!resolvedProfile.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: resolvedProfile.error
+            });
+        }
+        const profile = resolvedProfile.profile;
 
-        // Simulate packet loss
-        if (packetLoss > 0 && Math.random() * 100 < packetLoss) {
-            return res.status(0).json({
-                error: 'Packet Lost',
-                message: `Simulated packet loss (${packetLoss}%)`
+        // Every random draw of this run comes from the seed, so it can be replayed
+        const resolvedSeed = seededRandom.resolveSeed(req.body.seed);
+        if (!resolvedSeed.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: resolvedSeed.error
             });
         }
+        const seed = resolvedSeed.seed;
+        const random = seededRandom.createRandom(seed);
+
+        console.log(`📬 Simulation request: ${method} ${url} (seed ${seed})`);
 
         // Simulate network delay
         if (delay > 0) {
@@ -40,46 +79,95 @@ router.post('/simulate-request', async (req, res) => {
         let timeline = [];
         let totalTime = 0;
         let isReal = useRealRequest;
+        let connectionReused = null;
+        let tlsInfo = null;
+        let raw = null;
+        let secure = !url.startsWith('http://');
+        let measuredTimeline = null;
+        let cacheLookup = null;
+        let cacheStore = null;
+        let cacheRefresh = null;
+        let revalidation = null;
 
-        // Check cache first (for both real and mock requests)
-        if (useCache) {
-            const cachedResult = cacheSimulator.retrieve(url, method);
-            
-            if (cachedResult.hit) {
-                console.log(`✅ Cache HIT for ${url}`);
-                
-                // Build timeline for cached response
-                timeline = [
-                    { stage: 'Cache Lookup', duration: 5 },
-                    { stage: 'Validation', duration: 3 },
-                    { stage: 'Cache Hit', duration: 2 }
-                ];
-                totalTime = 10;
+        // Headers the caches see; digest credentials are added after the challenge
+        const requestHeaders = Object.fromEntries(built.headers);
+        if (built.auth) {
+            requestHeaders['Authorization'] = 'Digest';
+        }
 
-                response = {
+        // Answer from a cache tier: the hops to the tier that answered, plus the failed origin
+        // attempt when a stale copy stands in for it (stale-if-error)
+        const sendFromCache = (tierId, cachedResult, originStages = []) => {
+            const cachedTimeline = [...cacheHopStages(cacheLookup.hops, profile, random), ...originStages];
+
+            return res.json({
+                timeline: cachedTimeline,
+                totalTime: Math.round(cachedTimeline.reduce((sum, stage) => sum + stage.duration, 0)),
+                response: {
                     statusCode: cachedResult.statusCode,
                     statusText: cachedResult.statusText,
                     headers: cachedResult.headers,
                     body: cachedResult.body,
+                    bodyInfo: cachedResult.bodyInfo,
                     cached: true,
                     cookies: []
-                };
+                },
+                connectionType,
+                real: isReal,
+                seed,
+                // A cache hit never reaches the origin
+                raw: null,
+                cacheInfo: {
+                    hit: true,
+                    tier: tierId,
+                    hops: describeCacheHops(cacheLookup.hops, cachedTimeline, null, originStages.length > 0),
+                    filled: cacheLookup.filled,
+                    age: cachedResult.cacheAge,
+                    remainingTime: cachedResult.remainingTime,
+                    freshnessLifetime: cachedResult.freshnessLifetime,
+                    outcome: cachedResult.decision.outcome === 'fresh' ? 'fresh-hit' : 'stale-hit',
+                    rule: cachedResult.decision.rule,
+                    explanation: cachedResult.decision.explanation,
+                    backgroundRevalidate: cachedResult.backgroundRevalidate,
+                    variants: cacheSimulator.listVariants(url, method),
+                    evicted: cacheLookup.evicted
+                }
+            });
+        };
 
-                return res.json({
-                    timeline,
-                    totalTime,
-                    response,
-                    connectionType,
-                    real: isReal,
-                    cacheInfo: {
-                        hit: true,
-                        age: cachedResult.cacheAge,
-                        remainingTime: cachedResult.remainingTime
-                    }
-                });
+        // A 304 to the conditional request freshens the stored copies, whose body is then shown
+        const revalidatedResponse = (notModified, timing) => {
+            cacheRefresh = cacheSimulator.refresh(url, method, notModified, { requestHeaders, ...timing });
+            if (!cacheRefresh) return null;
+
+            return {
+                statusCode: cacheRefresh.response.statusCode || 200,
+                statusText: cacheRefresh.response.statusText || 'OK',
+                headers: {
+                    ...cacheRefresh.response.headers,
+                    'X-Cache': 'REVALIDATED',
+                    'X-Cache-Lookup': `REVALIDATED in ${revalidation.name}`
+                },
+                body: cacheRefresh.response.body,
+                bodyInfo: cacheRefresh.response.bodyInfo,
+                cached: true
+            };
+        };
+
+        // Check cache first (for both real and mock requests): browser, then shared proxy, then CDN edge
+        if (useCache) {
+            cacheLookup = cacheSimulator.lookup(url, method, requestHeaders);
+            
+            if (cacheLookup.hit) {
+                console.log(`✅ Cache HIT for ${url} (${cacheLookup.tier}: ${cacheLookup.result.decision.rule})`);
+                return sendFromCache(cacheLookup.tier, cacheLookup.result);
             }
             
-            console.log(`❌ Cache MISS for ${url} (${cachedResult.reason})`);
+            // The nearest stored copy that may not be reused as is gets validated with the origin
+            revalidation = cacheLookup.revalidate;
+            console.log(revalidation
+                ? `🔄 Revalidating ${url} from ${revalidation.tier} (${revalidation.etag || revalidation.lastModified || 'no validator'})`
+                : `❌ Cache MISS for ${url} in every tier`);
         }
 
         // Make request (real or mock)
@@ -93,13 +181,33 @@ router.post('/simulate-request', async (req, res) => {
                     url,
                     method,
                     10000,
-                    { cookies: cookieHeader }
+                    {
+                        cookies: cookieHeader,
+                        headers: built.headers,
+                        body: built.body,
+                        contentType: built.contentType,
+                        digestAuth: built.auth,
+                        connectionType,
+                        ifNoneMatch: revalidation ? revalidation.etag : null,
+                        ifModifiedSince: revalidation ? revalidation.lastModified : null
+                    }
                 );
                 const endTime = Date.now();
                 totalTime = endTime - startTime;
 
+                // A tier allowed to serve stale-if-error answers for an unreachable or failing origin
+                const originFailed = !realResponse.success || realResponse.statusCode >= 500;
+                if (originFailed && cacheLookup && cacheLookup.staleIfError) {
+                    const staleResult = cacheSimulator.serveStale(url, method, cacheLookup.staleIfError, requestHeaders);
+                    console.log(`♻️  Origin failed, serving stale copy from ${cacheLookup.staleIfError}`);
+                    return sendFromCache(cacheLookup.staleIfError, staleResult, [{
+                        stage: `Origin Error (${realResponse.success ? realResponse.statusCode : realResponse.errorType})`,
+                        duration: totalTime
+                    }]);
+                }
+
                 if (!realResponse.success) {
-                    return res.status(500).json({
+                    return res.status(realResponse.errorCode === 'DESTINATION_BLOCKED' ? 403 : 500).json({
                         error: realResponse.errorType,
                         message: realResponse.errorMessage,
                         troubleshooting: realResponse.troubleshooting,
@@ -107,34 +215,64 @@ router.post('/simulate-request', async (req, res) => {
                     });
                 }
 
-                // Store cookies from response
+                // Store cookies from every redirect hop, then from the final response
+                realResponse.redirectChain.forEach(hop => {
+                    if (hop.cookies.length > 0) {
+                        cookieHandler.storeCookies(hop.url, hop.cookies);
+                    }
+                });
                 if (realResponse.cookies && realResponse.cookies.length > 0) {
-                    cookieHandler.storeCookies(url, realResponse.cookies);
+                    cookieHandler.storeCookies(realResponse.finalUrl, realResponse.cookies);
                 }
 
-                // Build timeline from real request timing
-                timeline = [
+                // Build timeline from measured socket events, one bar per redirect hop
+                timeline = realResponse.redirectChain.map((hop, index) => ({
+                    stage: `Redirect ${index + 1} (${hop.statusCode})`,
+                    duration: hop.timing.total
+                }));
+                if (realResponse.authChallenge) {
+                    timeline.push({ stage: 'Digest Challenge (401)', duration: realResponse.authChallenge.timing.total });
+                }
+                timeline.push(
                     { stage: 'DNS Lookup', duration: realResponse.timing.dns },
                     { stage: 'TCP Connection', duration: realResponse.timing.tcp },
                     { stage: 'TLS Handshake', duration: realResponse.timing.tls },
                     { stage: 'Request Sent', duration: realResponse.timing.request },
                     { stage: 'Waiting (TTFB)', duration: realResponse.timing.waiting },
                     { stage: 'Content Download', duration: realResponse.timing.download }
-                ];
+                );
+                connectionReused = realResponse.timing.reused;
+                tlsInfo = realResponse.tls;
+                raw = realResponse.raw;
+                secure = realResponse.finalUrl.startsWith('https:');
 
                 response = {
                     statusCode: realResponse.statusCode,
                     statusText: realResponse.statusText,
                     headers: realResponse.headers,
                     body: realResponse.body,
+                    bodyInfo: realResponse.bodyInfo,
                     cached: realResponse.cached,
-                    cookies: realResponse.cookies || []
+                    cookies: realResponse.cookies || [],
+                    redirectChain: realResponse.redirectChain,
+                    finalUrl: realResponse.finalUrl,
+                    authChallenge: realResponse.authChallenge
                 };
 
-                // Store in cache if successful and cacheable
-                if (realResponse.statusCode === 200 && !realResponse.cached) {
-                    const cacheControl = realResponse.headers['Cache-Control'] || 'max-age=3600';
-                    cacheSimulator.store(url, method, response, cacheControl);
+                if (revalidation && realResponse.statusCode === 304) {
+                    response = {
+                        ...response,
+                        ...revalidatedResponse(realResponse, { requestTime: startTime, responseTime: endTime })
+                    };
+                }
+
+                // Each tier decides from the response's own Cache-Control, Expires and Last-Modified
+                if (useCache && !realResponse.cached) {
+                    cacheStore = cacheSimulator.store(url, method, response, realResponse.headers['Cache-Control'], {
+                        requestHeaders,
+                        requestTime: startTime,
+                        responseTime: endTime
+                    });
                 }
 
             } catch (error) {
@@ -150,28 +288,206 @@ router.post('/simulate-request', async (req, res) => {
             
             // Generate mock timeline
             timeline = [
-                { stage: 'DNS Lookup', duration: 50 + Math.random() * 50 },
-                { stage: 'TCP Connection', duration: 30 + Math.random() * 30 },
-                { stage: 'TLS Handshake', duration: 80 + Math.random() * 40 },
-                { stage: 'Request Sent', duration: 10 + Math.random() * 10 },
-                { stage: 'Waiting (TTFB)', duration: 100 + Math.random() * 100 },
-                { stage: 'Content Download', duration: 50 + Math.random() * 50 }
+                { stage: 'DNS Lookup', duration: 50 + random() * 50 },
+                { stage: 'TCP Connection', duration: 30 + random() * 30 },
+                { stage: 'TLS Handshake', duration: 80 + random() * 40 },
+                { stage: 'Request Sent', duration: 10 + random() * 10 },
+                { stage: 'Waiting (TTFB)', duration: 100 + random() * 100 },
+                { stage: 'Content Download', duration: 50 + random() * 50 }
             ];
             
+            // Digest: the mock server answers the first request with a 401 challenge
+            let mockRequest = built;
+            let authChallenge = null;
+            if (built.auth && built.auth.type === 'digest') {
+                const challenge = authHandler.generateMockChallenge(random);
+                const challengeStages = [
+                    { stage: 'Request Sent (no credentials)', duration: 10 + random() * 10 },
+                    { stage: 'Digest Challenge (401)', duration: 100 + random() * 100 }
+                ];
+                timeline.splice(3, 0, ...challengeStages);
+
+                let uri = url;
+                try {
+                    const parsed = new URL(url);
+                    uri = parsed.pathname + parsed.search;
+                } catch (e) {
+                    // Bare resource names are used as the request target
+                }
+
+                mockRequest = {
+                    ...built,
+                    headers: [...built.headers, ['Authorization', authHandler.buildDigestAuthorization(challenge, {
+                        username: built.auth.username,
+                        password: built.auth.password,
+                        method,
+                        uri,
+                        cnonce: seededRandom.randomHex(random, 8)
+                    })]]
+                };
+                authChallenge = {
+                    url,
+                    statusCode: 401,
+                    statusText: 'Unauthorized',
+                    wwwAuthenticate: authHandler.formatChallenge(challenge),
+                    challenge,
+                    timing: { total: challengeStages.reduce((sum, stage) => sum + stage.duration, 0) }
+                };
+            }
+
             totalTime = timeline.reduce((sum, stage) => sum + stage.duration, 0);
+
+            // A stale stored copy makes this a conditional request to the mock server
+            if (revalidation) {
+                const conditions = [];
+                if (revalidation.etag) conditions.push(['If-None-Match', revalidation.etag]);
+                if (revalidation.lastModified) conditions.push(['If-Modified-Since', revalidation.lastModified]);
+                mockRequest = { ...mockRequest, headers: [...mockRequest.headers, ...conditions] };
+            }
             
             // Generate mock response
-            response = mockResponse.generateResponse(url, method, false, useCookies);
+            response = mockResponse.generateResponse(url, method, useCookies, mockRequest, {
+                bodySize: parseInt(mockResponseSize, 10) || 0,
+                random
+            });
+            response.authChallenge = authChallenge;
+            raw = wireFormatter.synthesizeExchange(mockRequest, response, connectionType);
+            const endTime = Date.now();
             
             // Store cookies if enabled
             if (useCookies && response.cookies) {
                 cookieHandler.storeCookies(url, response.cookies);
             }
 
-            // Store in cache if cache is enabled for future requests
-            if (useCache) {
-                cacheSimulator.store(url, method, response, 'max-age=3600');
+            // The mock server's 304 refreshes the stored copies; a 200 is offered to every tier
+            if (revalidation && response.statusCode === 304) {
+                response = {
+                    ...response,
+                    ...revalidatedResponse(response, { requestTime: startTime, responseTime: endTime })
+                };
+            } else if (useCache) {
+                cacheStore = cacheSimulator.store(url, method, response, response.headers['Cache-Control'], {
+                    requestHeaders,
+                    requestTime: startTime,
+                    responseTime: endTime
+                });
+            }
+        }
+
+        // Re-cost the stages for the selected link, sized by the actual messages
+        if (profile) {
+            if (isReal) {
+                measuredTimeline = timeline;
             }
+            timeline = networkProfiles.shapeTimeline(timeline, profile, {
+                url: response.finalUrl || url,
+                ...wireFormatter.exchangeSizes(raw),
+                secure,
+                reused: Boolean(connectionReused),
+                tlsVersion: tlsInfo ? tlsInfo.protocol : null,
+                measuredRtt: isReal ? tcpModel.estimateRtt(timeline) : null
+            }, random);
+            totalTime = timeline.reduce((sum, stage) => sum + stage.duration, 0);
+        }
+
+        // Download phase: congestion window growth over the actual response size
+        const sizes = wireFormatter.exchangeSizes(raw);
+        const rtt = profile ? profile.rtt : tcpModel.estimateRtt(timeline);
+        // Without a profile, real responses are modelled at the throughput they were measured at
+        const measuredDownload = timeline.find(stage => stage.stage === 'Content Download');
+        const bandwidthKbps = profile
+            ? profile.downlinkKbps
+            : (isReal && measuredDownload && measuredDownload.duration > 0
+                ? Math.round((sizes.responseBytes * 8) / measuredDownload.duration)
+                : null);
+        const download = tcpModel.simulateDownload(sizes.responseBytes, {
+            rtt,
+            bandwidthKbps,
+            lossPercent: packetLoss
+        }, random);
+
+        // Measured real downloads are kept unless a profile re-costs the link
+        if (!isReal || profile) {
+            timeline = timeline.map(stage => stage.stage === 'Content Download' ? { ...stage, duration: download.duration } : stage);
+            totalTime = timeline.reduce((sum, stage) => sum + stage.duration, 0);
+        }
+
+        // Drop individual packets; lost ones are retransmitted after a timeout
+        let lossReport = null;
+        if (packetLoss > 0) {
+            const lossResult = packetLossModel.applyPacketLoss(timeline, packetLoss, { ...sizes, rtt }, random);
+            timeline = lossResult.timeline;
+            lossReport = lossResult.report;
+            totalTime = timeline.reduce((sum, stage) => sum + stage.duration, 0);
+
+            // Download segments are dropped and recovered inside the congestion window model
+            if (!lossReport.failed) {
+                lossReport.packetsSent += download.segmentsSent;
+                lossReport.packetsLost += download.segmentsLost;
+                if (download.failed) {
+                    lossReport.failed = true;
+                    lossReport.failedStage = 'Content Download';
+                }
+            }
+
+            // Only a packet that exhausts its retries breaks the connection
+            if (lossReport.failed) {
+                return res.status(504).json({
+                    error: 'Packet Lost',
+                    message: `A packet during "${lossReport.failedStage}" was lost ${lossReport.maxRetransmissions + 1} times; the connection was given up after ${Math.round(totalTime)} ms`,
+                    timeline,
+                    totalTime: Math.round(totalTime),
+                    packetLoss: lossReport,
+                    seed
+                });
+            }
+        }
+
+        // The request passed every cache tier before reaching the origin
+        let cacheInfo = null;
+        if (cacheLookup) {
+            const hopStages = cacheHopStages(cacheLookup.hops, profile, random);
+            timeline = [...hopStages, ...timeline];
+            totalTime += hopStages.reduce((sum, stage) => sum + stage.duration, 0);
+
+            // A validated copy is refreshed by the origin's 304 or replaced by its 200 on the way back;
+            // an origin error, a 304 no stored copy matches or an unstorable 200 leaves the tiers as they were
+            let outcome = 'miss';
+            if (revalidation) {
+                if (cacheRefresh) {
+                    outcome = 'revalidated';
+                } else if (response.statusCode === 304) {
+                    outcome = 'unmatched';
+                } else if (response.statusCode >= 500) {
+                    outcome = 'origin-error';
+                } else {
+                    outcome = cacheStore && cacheStore.storedIn.length > 0 ? 'replaced' : 'not-stored';
+                }
+            }
+            if (outcome === 'revalidated' || outcome === 'replaced') {
+                const closing = {
+                    stage: `${revalidation.name} (${outcome === 'revalidated' ? 'REFRESHED' : 'REPLACED'})`,
+                    duration: Math.round((1 + random() * 2) * 10) / 10
+                };
+                timeline.push(closing);
+                totalTime += closing.duration;
+            }
+
+            cacheInfo = {
+                hit: false,
+                tier: 'origin',
+                outcome,
+                revalidation: revalidation ? {
+                    ...revalidation,
+                    originStatus: response.cached ? 304 : response.statusCode,
+                    refreshed: cacheRefresh ? cacheRefresh.refreshed : []
+                } : null,
+                hops: describeCacheHops(cacheLookup.hops, hopStages, cacheStore),
+                storedIn: cacheStore ? cacheStore.storedIn : [],
+                refused: cacheStore ? cacheStore.refused : [],
+                variants: cacheSimulator.listVariants(url, method),
+                evicted: [...cacheLookup.evicted, ...(cacheStore ? cacheStore.evicted : [])]
+            };
         }
 
         // Return simulation result
@@ -181,6 +497,15 @@ router.post('/simulate-request', async (req, res) => {
             response,
             connectionType,
             real: isReal,
+            seed,
+            connectionReused,
+            tls: tlsInfo,
+            raw,
+            networkProfile: profile ? networkProfiles.describeProfile(profile) : null,
+            packetLoss: lossReport,
+            tcp: download,
+            measuredTimeline,
+            cacheInfo,
             cookieInfo: useCookies ? {
                 stored: cookieHandler.getCookies(url).length,
                 details: cookieHandler.getCookieDetails(url)
@@ -196,37 +521,138 @@ router.post('/simulate-request', async (req, res) => {
     }
 });
 
+/**
+ * Timeline stages for the cache tiers a request passed. A miss only costs the lookup and
+ * forwarding; a hit in a shared tier costs the round trip to that cache
+ */
+function cacheHopStages(hops, profile, random) {
+    return hops.map(hop => {
+        let duration = 1 + random() * 2;
+        if (hop.hit && hop.tier !== 'browser') {
+            const roundTrip = profile ? networkProfiles.sampleRtt(profile, random) : 5 + random() * 10;
+            // The CDN edge sits a little further out than the ISP's proxy
+            duration += hop.tier === 'cdn' ? roundTrip + 10 + random() * 20 : roundTrip;
+        }
+        return { stage: `${hop.name} (${hop.status.replace('-', ' ').toUpperCase()})`, duration: Math.round(duration * 10) / 10 };
+    });
+}
+
+/**
+ * Every tier and the origin, marked taken or skipped, for the cache hop strip
+ */
+function describeCacheHops(hops, stages, store = null, originFailed = false) {
+    const taken = hops.map((hop, index) => ({
+        ...hop,
+        duration: stages[index].duration,
+        stored: store ? store.storedIn.includes(hop.tier) : null
+    }));
+    const skipped = cacheSimulator.listTiers().slice(hops.length).map(tier => ({
+        tier: tier.id,
+        name: tier.name,
+        status: 'skipped',
+        duration: 0,
+        stored: null
+    }));
+    const answered = hops.some(hop => hop.hit);
+
+    return [
+        ...taken,
+        ...skipped,
+        { tier: 'origin', name: 'Origin Server', status: originFailed ? 'failed' : answered ? 'skipped' : 'fetched', duration: null, stored: null }
+    ];
+}
+
 /**
  * HTTP/2 comparison endpoint
  */
 router.post('/simulate-http2', async (req, res) => {
     try {
-        const { requests, delay } = req.body;
-
-        // Simulate HTTP/2 parallel requests
-        const startTime = Date.now();
-        
-        // All requests start at the same time (parallel)
-        const maxDelay = Math.max(...requests.map(() => delay));
-        
-        await new Promise(resolve => setTimeout(resolve, maxDelay));
-        
-        const endTime = Date.now();
-        const totalTime = endTime - startTime;
-
-        const http2Requests = requests.map((req, index) => ({
-            id: index + 1,
-            url: req.url,
-            method: req.method,
-            time: delay
-        }));
+        const {
+            requests,
+            delay,
+            mode = 'simulated',
+            target,
+            networkProfile = 'none',
+            customProfile = null,
+            packetLoss = 0,
+            resumed = false
+        } = req.body;
+
+        if (!Array.isArray(requests) || requests.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: 'requests must be a non-empty array'
+            });
+        }
+
+        const resolvedSeed = seededRandom.resolveSeed(req.body.seed);
+        if (!resolvedSeed.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: resolvedSeed.error
+            });
+        }
+        const seed = resolvedSeed.seed;
+
+        // The same limits apply to real sessions, which open one stream per request
+        if (requests.length > protocolModel.MAX_STREAMS) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: `At most ${protocolModel.MAX_STREAMS} requests can be compared`
+            });
+        }
+
+        const invalidIndex = requests.findIndex(request => !request
+            || typeof request.url !== 'string' || request.url === ''
+            || (request.method !== undefined && !requestBuilder.isValidMethod(request.method)));
+        if (invalidIndex !== -1) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: `Request ${invalidIndex + 1} needs a url and a method from ${requestBuilder.HTTP_METHODS.join(', ')}`
+            });
+        }
+
+        if (mode === 'real') {
+            // Measured streams are echoed with the seed but are not replayable
+            return res.json({ ...await runRealHTTP2(requests, delay, target), seed });
+        }
+
+        const resolvedProfile = networkProfiles.resolveProfile(networkProfile, customProfile);
+        if (!resolvedProfile.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: resolvedProfile.error
+            });
+        }
+        const profile = resolvedProfile.profile;
+
+        // HTTP/1.1, HTTP/2 and HTTP/3 fetch the same responses over the same link and losses
+        const comparison = protocolModel.compareProtocols(requests, {
+            serverDelay: delay,
+            rtt: profile ? profile.rtt : null,
+            bandwidthKbps: profile ? profile.downlinkKbps : null,
+            lossPercent: packetLoss,
+            resumed: Boolean(resumed)
+        }, seededRandom.createRandom(seed));
 
         res.json({
-            requests: http2Requests,
-            totalTime: Math.round(totalTime)
+            mode: 'simulated',
+            seed,
+            networkProfile: profile ? networkProfiles.describeProfile(profile) : null,
+            link: comparison.link,
+            ...comparison.http2,
+            http1: comparison.http1,
+            http3: comparison.http3
         });
 
     } catch (error) {
+        if (error.code === 'DESTINATION_BLOCKED') {
+            return res.status(403).json({
+                error: 'Destination Blocked',
+                errorCode: error.code,
+                message: error.message
+            });
+        }
         res.status(500).json({
             error: 'HTTP/2 simulation failed',
             message: error.message
@@ -234,6 +660,326 @@ router.post('/simulate-http2', async (req, res) => {
     }
 });
 
+/**
+ * Multiplex the requests over one real HTTP/2 session, against the target
+ * origin or the bundled local h2c server
+ */
+async function runRealHTTP2(requests, delay, target) {
+    let origin;
+    let base;
+
+    if (target) {
+        base = new URL(target);
+        if (base.protocol !== 'https:' && base.protocol !== 'http:') {
+            throw new Error('HTTP/2 target must be an http:// or https:// URL');
+        }
+        origin = base.origin;
+        destinationPolicy.checkUrl(base.href);
+    } else {
+        origin = await localH2Server.ensureStarted();
+        base = new URL(origin);
+    }
+
+    const streams = requests.map((request, index) => {
+        // Only the path is used; every stream goes to the session's origin
+        const resolved = new URL(request.url || '/', base);
+        if (!target) {
+            resolved.searchParams.set('delay', delay || 0);
+        }
+
+        return {
+            id: index + 1,
+            url: `${origin}${resolved.pathname}${resolved.search}`,
+            method: (request.method || 'GET').toUpperCase(),
+            path: `${resolved.pathname}${resolved.search}`
+        };
+    });
+
+    // Only user-supplied targets are subject to the destination policy
+    const result = await http2Client.runSession(origin, streams, target ? { lookup: destinationPolicy.lookup } : {});
+
+    return {
+        mode: 'real',
+        target: target ? 'remote' : 'local',
+        ...result,
+        totalTime: Math.round(result.totalTime)
+    };
+}
+
+/**
+ * Keep-alive vs close comparison with real connections
+ */
+router.post('/compare-connections', async (req, res) => {
+    try {
+        const { url, count = 5, method = 'GET' } = req.body;
+
+        if (!realRequestHandler.isValidUrl(url)) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: 'A valid http:// or https:// URL is required'
+            });
+        }
+
+        if (!requestBuilder.isValidMethod(method)) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: `method must be one of ${requestBuilder.HTTP_METHODS.join(', ')}`
+            });
+        }
+
+        const comparison = await connectionComparison.compareConnections(url, count, method.toUpperCase());
+        res.json(comparison);
+
+    } catch (error) {
+        if (error.code === 'DESTINATION_BLOCKED') {
+            return res.status(403).json({
+                error: 'Destination Blocked',
+                errorCode: error.code,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Connection comparison failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Page-load waterfall for an HTML document, fetched for real or taken from a mock template
+ */
+router.post('/simulate-page', async (req, res) => {
+    try {
+        const {
+            url,
+            useRealRequest = false,
+            template = 'blog',
+            networkProfile = 'none',
+            customProfile = null,
+            maxConnectionsPerHost = pageLoad.MAX_CONNECTIONS_PER_HOST
+        } = req.body;
+
+        if (!realRequestHandler.isValidUrl(url)) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: 'A valid http:// or https:// URL is required'
+            });
+        }
+
+        const connectionLimit = parseInt(maxConnectionsPerHost, 10);
+        if (!Number.isInteger(connectionLimit) || connectionLimit < 1 || connectionLimit > 32) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: 'maxConnectionsPerHost must be between 1 and 32'
+            });
+        }
+
+        const resolvedProfile = networkProfiles.resolveProfile(networkProfile, customProfile);
+        const resolvedSeed = seededRandom.resolveSeed(req.body.seed);
+        if (!resolvedProfile.valid || !resolvedSeed.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: resolvedProfile.error || resolvedSeed.error
+            });
+        }
+        const profile = resolvedProfile.profile;
+        const seed = resolvedSeed.seed;
+
+        let page;
+        let rtt = profile ? profile.rtt : tcpModel.DEFAULT_RTT;
+
+        if (useRealRequest) {
+            const realResponse = await realRequestHandler.makeRealRequest(url, 'GET', 10000, {});
+            if (!realResponse.success) {
+                return res.status(realResponse.errorCode === 'DESTINATION_BLOCKED' ? 403 : 502).json({
+                    error: realResponse.errorType,
+                    message: realResponse.errorMessage
+                });
+            }
+            if (realResponse.bodyInfo.kind !== 'html') {
+                return res.status(400).json({
+                    error: 'Not an HTML Document',
+                    message: `${realResponse.finalUrl} returned ${realResponse.bodyInfo.mimeType || 'an unknown content type'}, not HTML`
+                });
+            }
+
+            const measured = realResponse.timing;
+            // Subresources are modelled on the round trip the document measured, unless a profile sets one
+            if (!profile) {
+                rtt = measured.tcp > 0 ? measured.tcp : tcpModel.estimateRtt([{ stage: 'Waiting (TTFB)', duration: measured.waiting }]);
+            }
+            page = {
+                url: realResponse.finalUrl,
+                html: realResponse.body,
+                documentSize: wireFormatter.exchangeSizes(realResponse.raw).responseBytes,
+                documentTiming: profile ? null : measured,
+                serverTime: Math.max(measured.waiting - rtt, 0),
+                resources: new Map()
+            };
+        } else {
+            const mockPage = pageTemplates.getTemplate(template, url);
+            if (!mockPage) {
+                return res.status(400).json({
+                    error: 'Invalid Request',
+                    message: `Unknown page template "${template}"`
+                });
+            }
+            page = {
+                url,
+                html: mockPage.html,
+                documentSize: Buffer.byteLength(mockPage.html),
+                documentTiming: null,
+                serverTime: mockPage.serverTime,
+                resources: mockPage.resources
+            };
+        }
+
+        const link = {
+            rtt: Math.round(rtt * 10) / 10,
+            bandwidthKbps: profile ? profile.downlinkKbps : tcpModel.DEFAULT_BANDWIDTH_KBPS,
+            maxConnectionsPerHost: connectionLimit
+        };
+        const waterfall = pageLoad.simulatePageLoad(page, link, seededRandom.createRandom(seed));
+
+        res.json({
+            url: page.url,
+            source: useRealRequest ? 'real' : 'template',
+            template: useRealRequest ? null : template,
+            seed,
+            networkProfile: profile ? networkProfiles.describeProfile(profile) : null,
+            link,
+            ...waterfall
+        });
+
+    } catch (error) {
+        if (error.code === 'DESTINATION_BLOCKED') {
+            return res.status(403).json({
+                error: 'Destination Blocked',
+                errorCode: error.code,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Page simulation failed',
+            message: error.message
+        });
+    }
+});
+
+router.get('/page-templates', (req, res) => {
+    res.json(pageTemplates.listTemplates());
+});
+
+/**
+ * TLS 1.2 vs TLS 1.3 handshakes, full, resumed and 0-RTT, message by message
+ */
+router.post('/simulate-tls', (req, res) => {
+    try {
+        const { rtt, networkProfile = 'none', customProfile = null } = req.body;
+
+        const resolvedProfile = networkProfiles.resolveProfile(networkProfile, customProfile);
+        if (!resolvedProfile.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: resolvedProfile.error
+            });
+        }
+        const profile = resolvedProfile.profile;
+
+        // An explicit RTT wins over the profile's; jitter is left out so the scenarios compare exactly
+        const hasRtt = rtt !== undefined && rtt !== null && rtt !== '';
+        const roundTrip = hasRtt ? Number(rtt) : (profile ? profile.rtt : tcpModel.DEFAULT_RTT);
+        if (!Number.isFinite(roundTrip) || roundTrip < 0 || roundTrip > 10000) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: 'rtt must be a number between 0 and 10000'
+            });
+        }
+
+        const comparison = tlsHandshake.compareHandshakes({
+            rtt: roundTrip,
+            uplinkKbps: profile ? profile.uplinkKbps : null,
+            downlinkKbps: profile ? profile.downlinkKbps : null
+        });
+
+        res.json({
+            networkProfile: profile ? networkProfiles.describeProfile(profile) : null,
+            ...comparison
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'TLS simulation failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Recursive DNS resolution of a URL's hostname through the simulated OS and resolver caches
+ */
+router.post('/simulate-dns', (req, res) => {
+    try {
+        const { url, recordType = 'A', networkProfile = 'none', customProfile = null } = req.body;
+
+        let hostname;
+        try {
+            hostname = req.body.hostname || new URL(url).hostname;
+        } catch (e) {
+            hostname = null;
+        }
+        if (typeof hostname !== 'string' || !hostname || !dnsResolver.isResolvable(hostname)) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: 'A valid URL or fully qualified hostname is required'
+            });
+        }
+
+        if (recordType !== 'A' && recordType !== 'AAAA') {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: 'recordType must be A or AAAA'
+            });
+        }
+
+        const resolvedProfile = networkProfiles.resolveProfile(networkProfile, customProfile);
+        if (!resolvedProfile.valid) {
+            return res.status(400).json({
+                error: 'Invalid Request',
+                message: resolvedProfile.error
+            });
+        }
+        const profile = resolvedProfile.profile;
+
+        // The hop to the recursive resolver crosses the access link; everything after it is the resolver's
+        const lookup = dnsResolver.resolve(hostname, recordType, { stubRtt: profile ? profile.rtt : null });
+
+        res.json({
+            networkProfile: profile ? networkProfiles.describeProfile(profile) : null,
+            ...lookup,
+            cache: dnsResolver.getCache()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'DNS simulation failed',
+            message: error.message
+        });
+    }
+});
+
+router.get('/dns/cache', (req, res) => {
+    res.json(dnsResolver.getCache());
+});
+
+router.post('/dns/clear', (req, res) => {
+    const cleared = dnsResolver.clear();
+    res.json({
+        message: `Cleared ${cleared} DNS cache entries`,
+        cleared
+    });
+});
+
 /**
  * Cache management endpoints
  */
@@ -242,6 +988,27 @@ router.get('/cache/stats', (req, res) => {
     res.json(stats);
 });
 
+router.get('/cache/config', (req, res) => {
+    res.json(cacheSimulator.getLimits());
+});
+
+router.post('/cache/config', (req, res) => {
+    const { maxEntries, maxBytes, policy } = req.body || {};
+    const result = cacheSimulator.configure({ maxEntries, maxBytes, policy });
+    if (!result.valid) {
+        return res.status(400).json({
+            error: 'Invalid Request',
+            message: result.error
+        });
+    }
+
+    res.json({
+        message: `Cache limits set to ${result.limits.maxEntries} entries and ${result.limits.maxBytes} bytes per tier with ${result.limits.policy} eviction`,
+        limits: result.limits,
+        evicted: result.evicted
+    });
+});
+
 router.post('/cache/clear', (req, res) => {
     const cleared = cacheSimulator.clear();
     res.json({
@@ -251,9 +1018,9 @@ router.post('/cache/clear', (req, res) => {
 });
 
 router.delete('/cache/:url', (req, res) => {
-    const url = decodeURIComponent(req.params.url);
+    const url = req.params.url;
     const method = req.query.method || 'GET';
-    const deleted = cacheSimulator.invalidate(url, method);
+    const deleted = cacheSimulator.invalidate(url, method, { tier: req.query.tier, key: req.query.key });
     
     res.json({
         message: deleted ? 'Cache entry deleted' : 'Cache entry not found',
@@ -298,7 +1065,7 @@ router.post('/diagnose', async (req, res) => {
     try {
         const { url } = req.body;
         const diagnosis = await realRequestHandler.diagnoseUrl(url);
-        res.json(diagnosis);
+        res.status(diagnosis.blocked ? 403 : 200).json(diagnosis);
     } catch (error) {
         res.status(500).json({
             error: 'Diagnosis failed',
@@ -325,6 +1092,10 @@ router.get('/test', (req, res) => {
         endpoints: {
             simulate: '/api/simulate-request',
             http2: '/api/simulate-http2',
+            connections: '/api/compare-connections',
+            page: '/api/simulate-page',
+            tls: '/api/simulate-tls',
+            dns: '/api/simulate-dns',
             cache: '/api/cache/*',
             cookies: '/api/cookies/*',
             diagnose: '/api/diagnose'
@@ -0,0 +1,199 @@
+/**
+ * Authentication Handler
+ * Builds credentials for Basic, Bearer, API key and Digest authentication
+ */
+
+const crypto = require('crypto');
+const seededRandom = require('./seededRandom');
+
+const AUTH_TYPES = ['none', 'basic', 'bearer', 'digest', 'apikey'];
+
+// Fields of each auth type that end up in a header or the query string
+const CREDENTIAL_FIELDS = {
+    basic: ['username', 'password'],
+    digest: ['username', 'password'],
+    bearer: ['token'],
+    apikey: ['key', 'value']
+};
+
+/**
+ * Validate the auth section of a simulation request
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAuth(auth) {
+    if (!auth || !auth.type || auth.type === 'none') return null;
+
+    if (!AUTH_TYPES.includes(auth.type)) {
+        return `Unsupported auth type: "${auth.type}"`;
+    }
+
+    // Credentials are sent verbatim, so they must be text that cannot break the message
+    for (const field of CREDENTIAL_FIELDS[auth.type]) {
+        const value = auth[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'string') return `Auth ${field} must be a string`;
+        if (/[\r\n]/.test(value)) return `Auth ${field} contains a line break`;
+    }
+
+    switch (auth.type) {
+        case 'basic':
+        case 'digest':
+            if (!auth.username) return `${auth.type === 'basic' ? 'Basic' : 'Digest'} auth requires a username`;
+            if (auth.type === 'basic' && auth.username.includes(':')) return 'Basic auth usernames cannot contain ":"';
+            return null;
+        case 'bearer':
+            return auth.token ? null : 'Bearer auth requires a token';
+        case 'apikey':
+            if (!auth.key || !auth.value) return 'API key auth requires a key name and a value';
+            if (!['header', 'query'].includes(auth.in || 'header')) return 'API key must be sent in a header or the query';
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Credentials that can be sent up front (everything except Digest)
+ * @returns {object} { headers: [[name, value]], queryParams: [[name, value]] }
+ */
+function buildStaticAuth(auth) {
+    const result = { headers: [], queryParams: [] };
+    if (!auth) return result;
+
+    switch (auth.type) {
+        case 'basic': {
+            const encoded = Buffer.from(`${auth.username}:${auth.password || ''}`, 'utf8').toString('base64');
+            result.headers.push(['Authorization', `Basic ${encoded}`]);
+            break;
+        }
+        case 'bearer':
+            result.headers.push(['Authorization', `Bearer ${auth.token}`]);
+            break;
+        case 'apikey':
+            if ((auth.in || 'header') === 'query') {
+                result.queryParams.push([auth.key, auth.value]);
+            } else {
+                result.headers.push([auth.key, auth.value]);
+            }
+            break;
+    }
+
+    return result;
+}
+
+/**
+ * Parse a WWW-Authenticate header into a Digest challenge
+ * @returns {object|null} Challenge parameters, or null if it is not a Digest challenge
+ */
+function parseDigestChallenge(header) {
+    const headers = Array.isArray(header) ? header : [header];
+    const digest = headers.find(value => value && /^\s*digest\s/i.test(value));
+    if (!digest) return null;
+
+    const params = {};
+    const pattern = /([a-z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/gi;
+    let match;
+
+    while ((match = pattern.exec(digest.replace(/^\s*digest\s+/i, ''))) !== null) {
+        params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+
+    return {
+        realm: params.realm || '',
+        nonce: params.nonce,
+        opaque: params.opaque || null,
+        algorithm: params.algorithm || 'MD5',
+        qop: params.qop ? params.qop.split(',').map(value => value.trim()) : [],
+        stale: params.stale === 'true'
+    };
+}
+
+/**
+ * Hash with the algorithm named in the challenge
+ */
+function digestHash(algorithm, value) {
+    const name = algorithm.toUpperCase().replace(/-SESS$/, '') === 'SHA-256' ? 'sha256' : 'md5';
+    return crypto.createHash(name).update(value).digest('hex');
+}
+
+/**
+ * Compute the Authorization header answering a Digest challenge (RFC 7616)
+ * @param {object} challenge - From parseDigestChallenge()
+ * @param {object} params - { username, password, method, uri, nc, cnonce }
+ */
+function buildDigestAuthorization(challenge, params) {
+    const algorithm = challenge.algorithm;
+    const nc = (params.nc || 1).toString(16).padStart(8, '0');
+    const cnonce = params.cnonce || crypto.randomBytes(8).toString('hex');
+
+    // Only qop=auth is supported; auth-int would need the hashed entity body
+    const qop = challenge.qop.includes('auth') ? 'auth' : null;
+
+    let ha1 = digestHash(algorithm, `${params.username}:${challenge.realm}:${params.password || ''}`);
+    if (/-sess$/i.test(algorithm)) {
+        ha1 = digestHash(algorithm, `${ha1}:${challenge.nonce}:${cnonce}`);
+    }
+    const ha2 = digestHash(algorithm, `${params.method}:${params.uri}`);
+
+    const response = qop
+        ? digestHash(algorithm, `${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+        : digestHash(algorithm, `${ha1}:${challenge.nonce}:${ha2}`);
+
+    const fields = [
+        `username=${quoteString(params.username)}`,
+        `realm=${quoteString(challenge.realm)}`,
+        `nonce=${quoteString(challenge.nonce)}`,
+        `uri=${quoteString(params.uri)}`,
+        `algorithm=${algorithm}`,
+        `response="${response}"`
+    ];
+    if (qop) {
+        fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+    }
+    if (challenge.opaque) {
+        fields.push(`opaque=${quoteString(challenge.opaque)}`);
+    }
+
+    return `Digest ${fields.join(', ')}`;
+}
+
+/**
+ * Challenge the mock server sends for Digest auth
+ */
+function generateMockChallenge(random = null) {
+    // A seeded generator makes the nonce, and so the Authorization header, reproducible
+    const hex = (bytes) => random ? seededRandom.randomHex(random, bytes) : crypto.randomBytes(bytes).toString('hex');
+
+    return {
+        realm: 'HTTP-Simulator',
+        nonce: hex(16),
+        opaque: hex(8),
+        algorithm: 'MD5',
+        qop: ['auth'],
+        stale: false
+    };
+}
+
+/**
+ * Format a challenge as a WWW-Authenticate header value
+ */
+function formatChallenge(challenge) {
+    return `Digest realm=${quoteString(challenge.realm)}, qop="${challenge.qop.join(',')}", algorithm=${challenge.algorithm}, nonce=${quoteString(challenge.nonce)}, opaque=${quoteString(challenge.opaque)}`;
+}
+
+/**
+ * Quoted-string with backslash and double quote escaped (RFC 9110 §5.6.4)
+ */
+function quoteString(value) {
+    return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+module.exports = {
+    AUTH_TYPES,
+    validateAuth,
+    buildStaticAuth,
+    parseDigestChallenge,
+    buildDigestAuthorization,
+    generateMockChallenge,
+    formatChallenge
+};
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Response Body Inspector
+ * Classifies a decoded response body by content type and keeps it up to the configured limit
+ */
+
+const { TextDecoder } = require('util');
+const config = require('../../config/config');
+
+/**
+ * Split a Content-Type header into mime type and charset
+ */
+function parseContentType(contentType) {
+    if (!contentType) {
+        return { mimeType: null, charset: null };
+    }
+
+    const [mimeType, ...params] = contentType.split(';').map(part => part.trim());
+    const charsetParam = params.find(param => param.toLowerCase().startsWith('charset='));
+
+    return {
+        mimeType: mimeType.toLowerCase(),
+        charset: charsetParam ? charsetParam.split('=')[1].replace(/"/g, '').toLowerCase() : null
+    };
+}
+
+/**
+ * Decide how a body should be rendered from its mime type
+ */
+function kindFromMimeType(mimeType) {
+    if (!mimeType) return null;
+
+    if (mimeType === 'application/json' || mimeType.endsWith('+json')) return 'json';
+    if (mimeType === 'text/html' || mimeType === 'application/xhtml+xml') return 'html';
+    if (mimeType === 'application/xml' || mimeType === 'text/xml' || mimeType.endsWith('+xml')) {
+        return mimeType === 'image/svg+xml' ? 'image' : 'xml';
+    }
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('text/')) return 'text';
+    if (['application/javascript', 'application/x-www-form-urlencoded'].includes(mimeType)) return 'text';
+
+    return 'binary';
+}
+
+/**
+ * Decode bytes as text, or return null if they are not text in that charset
+ */
+function decodeText(buffer, charset) {
+    try {
+        // stream: true holds back a character cut in half by truncation instead of failing
+        const text = new TextDecoder(charset || 'utf-8', { fatal: true }).decode(buffer, { stream: true });
+        // Control characters other than whitespace mean this is not really text
+        return /[\x00-\x08\x0E-\x1F]/.test(text) ? null : text;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Guess the kind of a body that has no usable Content-Type
+ */
+function sniffKind(text) {
+    if (text === null) return 'binary';
+
+    const trimmed = text.trim();
+    if (/^[{[]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (e) {
+            // Falls through to the markup checks
+        }
+    }
+    if (/^<\?xml/i.test(trimmed)) return 'xml';
+    if (/^<(!doctype html|html|head|body)/i.test(trimmed)) return 'html';
+    return 'text';
+}
+
+/**
+ * Inspect a decoded response body
+ * @param {Buffer} buffer - Body after content decoding
+ * @param {string} contentType - Response Content-Type header
+ * @param {object} wire - { bytes, contentEncoding } as received before decompression, if known
+ * @returns {object} { body, bodyInfo }
+ */
+function inspectBody(buffer, contentType, wire = {}) {
+    const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || '');
+    const limit = config.MAX_BODY_SIZE;
+    const { mimeType, charset } = parseContentType(contentType);
+
+    const bodyInfo = {
+        kind: 'empty',
+        mimeType: mimeType,
+        charset: charset,
+        encoding: 'text',
+        contentEncoding: wire.contentEncoding || null,
+        wireSize: typeof wire.bytes === 'number' ? wire.bytes : data.length,
+        decodedSize: data.length,
+        truncated: data.length > limit,
+        limit: limit
+    };
+
+    if (data.length === 0) {
+        return { body: null, bodyInfo };
+    }
+
+    const kept = bodyInfo.truncated ? data.subarray(0, limit) : data;
+    let kind = kindFromMimeType(mimeType);
+    let text = null;
+
+    if (kind !== 'image') {
+        text = decodeText(kept, charset);
+        if (!kind) kind = sniffKind(text);
+        // Declared text that does not decode is shown as bytes
+        if (text === null) kind = 'binary';
+    }
+
+    bodyInfo.kind = kind;
+
+    if (kind === 'image' || kind === 'binary') {
+        bodyInfo.encoding = 'base64';
+        return { body: kept.toString('base64'), bodyInfo };
+    }
+
+    // A truncated JSON document cannot be parsed, so it is shown as text
+    if (kind === 'json' && !bodyInfo.truncated) {
+        try {
+            bodyInfo.encoding = 'json';
+            return { body: JSON.parse(text), bodyInfo };
+        } catch (e) {
+            bodyInfo.encoding = 'text';
+            bodyInfo.parseError = e.message;
+        }
+    }
+
+    return { body: text, bodyInfo };
+}
+
+module.exports = {
+    parseContentType,
+    inspectBody
+};
\ No newline at end of file
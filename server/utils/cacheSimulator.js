@@ -1,90 +1,647 @@
 /**
  * Advanced HTTP Cache Simulator
- * Handles cache storage, validation, and expiration
+ * Handles cache storage, validation, and expiration across browser, proxy and CDN tiers,
+ * following the storage, freshness and age rules of RFC 9111
  */
 
+const config = require('../../config/config');
+
+// Tiers in the order a request meets them on its way to the origin
+const TIERS = [
+    { id: 'browser', name: 'Browser Cache', shared: false },
+    { id: 'proxy', name: 'Shared Proxy', shared: true },
+    { id: 'cdn', name: 'CDN Edge', shared: true }
+];
+
+// Status codes a cache may store without explicit freshness (RFC 9110 §15.1)
+const HEURISTICALLY_CACHEABLE = [200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501];
+
+// Share of the time since Last-Modified used as heuristic freshness (RFC 9111 §4.2.2)
+const HEURISTIC_FRACTION = 0.1;
+
+// Fields a 304 never overwrites: they describe the stored body or the connection (RFC 9111 §3.2)
+const NOT_REFRESHED = ['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive'];
+
+// Eviction policies, named by the entry they give up first
+const EVICTION_POLICIES = {
+    lru: 'Least recently used',
+    lfu: 'Least frequently used',
+    fifo: 'First in, first out',
+    ttl: 'Soonest to expire (TTL-first)'
+};
+
+// Accepted ranges for the per-tier capacity limits
+const LIMIT_RANGES = {
+    maxEntries: [1, 10000],
+    maxBytes: [1024, 100 * 1024 * 1024]
+};
+
+const EVICTION_LOG_SIZE = 50; // Most recent evictions kept for the stats
+
+// Where a freshness lifetime came from, for explanations
+const LIFETIME_SOURCES = {
+    's-maxage': 's-maxage',
+    'max-age': 'max-age',
+    'expires': 'Expires minus Date',
+    'heuristic': '10% of the time since Last-Modified',
+    'none': 'no freshness information'
+};
+
+/**
+ * Header value by case-insensitive name (real responses arrive Title-Cased, e.g. "Etag")
+ */
+function headerValue(headers, name) {
+    if (!headers) return undefined;
+    const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+    return match === undefined ? undefined : headers[match];
+}
+
+/**
+ * HTTP-date to milliseconds, or null when missing or invalid
+ */
+function parseDate(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
 class CacheSimulator {
     constructor() {
-        // In-memory cache storage
-        this.cache = new Map();
-        this.cacheMetadata = new Map();
+        // In-memory cache storage, one store per tier
+        this.tiers = new Map(TIERS.map(tier => [tier.id, {
+            ...tier,
+            cache: new Map(),
+            cacheMetadata: new Map(),
+            hits: 0,
+            misses: 0,
+            evictions: 0
+        }]));
+
+        // Every tier has the same capacity and eviction policy
+        this.limits = {
+            maxEntries: config.CACHE.MAX_ENTRIES,
+            maxBytes: config.CACHE.MAX_BYTES,
+            policy: config.CACHE.EVICTION_POLICY
+        };
+        this.evictionLog = [];
     }
 
     /**
-     * Generate cache key from URL and method
+     * Capacity limits, the active policy and the policies to choose from
      */
-    generateCacheKey(url, method = 'GET') {
-        return `${method}:${url}`;
+    getLimits() {
+        return {
+            ...this.limits,
+            policies: Object.entries(EVICTION_POLICIES).map(([id, name]) => ({ id, name }))
+        };
     }
 
     /**
-     * Store response in cache
+     * Change the capacity limits or eviction policy; shrinking limits evicts straight away
+     * @param {object} settings - { maxEntries, maxBytes, policy }, each optional
+     * @returns {object} { valid, limits, evicted } or { valid: false, error }
      */
-    store(url, method, response, cacheControl) {
-        const key = this.generateCacheKey(url, method);
-        const now = Date.now();
-        
-        // Parse cache-control directives
+    configure(settings = {}) {
+        const limits = { ...this.limits };
+
+        if (settings.policy !== undefined) {
+            if (!EVICTION_POLICIES[settings.policy]) {
+                return { valid: false, error: `Unknown eviction policy "${settings.policy}"` };
+            }
+            limits.policy = settings.policy;
+        }
+
+        for (const [field, [min, max]] of Object.entries(LIMIT_RANGES)) {
+            if (settings[field] === undefined) continue;
+            const value = Number(settings[field]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                return { valid: false, error: `${field} must be an integer between ${min} and ${max}` };
+            }
+            limits[field] = value;
+        }
+
+        this.limits = limits;
+        console.log(`⚙️  Cache limits: ${limits.maxEntries} entries, ${limits.maxBytes} bytes per tier, ${limits.policy} eviction`);
+
+        const evicted = [];
+        this.tiers.forEach(tier => evicted.push(...this.enforceCapacity(tier)));
+        return { valid: true, limits: this.getLimits(), evicted };
+    }
+
+    /**
+     * Tier ids and names, browser first
+     */
+    listTiers() {
+        return TIERS.map(tier => ({ ...tier }));
+    }
+
+    /**
+     * Tier by id (browser, proxy or cdn)
+     */
+    getTier(tierId) {
+        const tier = this.tiers.get(tierId);
+        if (!tier) {
+            throw new Error(`Unknown cache tier "${tierId}"`);
+        }
+        return tier;
+    }
+
+    /**
+     * Generate cache key from URL and method; a response with Vary adds the request
+     * header values it was selected by, so each variant has its own entry
+     */
+    generateCacheKey(url, method = 'GET', selection = null) {
+        const primaryKey = `${method}:${url}`;
+        if (!selection || Object.keys(selection).length === 0) return primaryKey;
+
+        const secondary = Object.entries(selection).map(([name, value]) => `${name}=${value}`).join('; ');
+        return `${primaryKey} [${secondary}]`;
+    }
+
+    /**
+     * Header names listed in a response's Vary, lowercased; "*" varies on everything
+     */
+    parseVary(headers) {
+        const vary = headerValue(headers, 'Vary');
+        if (!vary) return [];
+        return [...new Set(String(vary).split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    /**
+     * Request header values named by Vary, with whitespace normalized (RFC 9111 §4.1)
+     */
+    selectingHeaders(vary, requestHeaders = {}) {
+        return Object.fromEntries(vary.filter(name => name !== '*').map(name => {
+            const value = headerValue(requestHeaders, name);
+            return [name, value === undefined ? '' : String(value).trim().replace(/\s*,\s*/g, ', ').replace(/\s+/g, ' ')];
+        }));
+    }
+
+    /**
+     * Stored variant of a URL that matches the request's selecting headers.
+     * Vary: * never matches; with several matches the most recent response wins
+     * @returns {object|null} { key, cached }
+     */
+    findVariant(tier, url, method, requestHeaders = {}) {
+        const primaryKey = this.generateCacheKey(url, method);
+        let match = null;
+
+        tier.cache.forEach((cached, key) => {
+            if (cached.primaryKey !== primaryKey || cached.vary.includes('*')) return;
+
+            const selection = this.selectingHeaders(cached.vary, requestHeaders);
+            const matches = cached.vary.every(name => selection[name] === cached.selection[name]);
+            if (matches && (!match || cached.responseTime > match.cached.responseTime)) {
+                match = { key, cached };
+            }
+        });
+
+        return match;
+    }
+
+    /**
+     * Whether a tier may keep the response (RFC 9111 §3): only GET and HEAD, never no-store,
+     * private responses stay in the browser, shared caches only keep authorized responses
+     * that are explicitly allowed, and the status must be cacheable by default or given
+     * explicit freshness
+     */
+    isStorable(tier, directives, requestHeaders = {}, response = null, method = 'GET') {
+        if (method !== 'GET' && method !== 'HEAD') {
+            return { storable: false, reason: 'method' };
+        }
+        if (this.parseCacheControl(headerValue(requestHeaders, 'Cache-Control'))['no-store']) {
+            return { storable: false, reason: 'request no-store' };
+        }
+        if (directives['no-store']) {
+            return { storable: false, reason: 'no-store' };
+        }
+        if (tier.shared && directives.private) {
+            return { storable: false, reason: 'private' };
+        }
+        const authorized = headerValue(requestHeaders, 'Authorization') !== undefined;
+        if (tier.shared && authorized
+            && !directives.public && directives['s-maxage'] === undefined && !directives['must-revalidate']) {
+            return { storable: false, reason: 'authorization' };
+        }
+        if (response && !directives.public && !HEURISTICALLY_CACHEABLE.includes(response.statusCode)
+            && !this.hasExplicitFreshness(tier, directives, response.headers)) {
+            return { storable: false, reason: 'status' };
+        }
+        return { storable: true, reason: null };
+    }
+
+    /**
+     * Whether the response states its own lifetime rather than leaving it to heuristics
+     */
+    hasExplicitFreshness(tier, directives, headers) {
+        return directives['max-age'] !== undefined
+            || (tier.shared && directives['s-maxage'] !== undefined)
+            || headerValue(headers, 'Expires') !== undefined;
+    }
+
+    /**
+     * Seconds a tier keeps the response fresh (RFC 9111 §4.2.1): s-maxage in shared tiers,
+     * then max-age, then Expires minus Date, then a heuristic from Last-Modified
+     * @param {number} dateValue - The response's Date in ms, used for Expires and the heuristic
+     * @returns {object} { seconds, rule }
+     */
+    freshnessLifetime(tier, directives, headers = {}, dateValue = Date.now()) {
+        if (tier.shared && directives['s-maxage'] !== undefined) {
+            return { seconds: directives['s-maxage'], rule: 's-maxage' };
+        }
+        if (directives['max-age'] !== undefined) {
+            return { seconds: directives['max-age'], rule: 'max-age' };
+        }
+
+        const expires = headerValue(headers, 'Expires');
+        if (expires !== undefined) {
+            // An invalid Expires, such as "0", means already expired
+            const expiresAt = parseDate(expires);
+            return {
+                seconds: expiresAt === null ? 0 : Math.max(0, Math.floor((expiresAt - dateValue) / 1000)),
+                rule: 'expires'
+            };
+        }
+
+        const lastModified = parseDate(headerValue(headers, 'Last-Modified'));
+        if (lastModified !== null) {
+            return {
+                seconds: Math.floor(Math.max(0, dateValue - lastModified) / 1000 * HEURISTIC_FRACTION),
+                rule: 'heuristic'
+            };
+        }
+
+        return { seconds: 0, rule: 'none' };
+    }
+
+    /**
+     * Store response in every tier that may keep it
+     * @param {object} options - { tiers } to fill (default all), { requestHeaders },
+     *                           { requestTime, responseTime } in ms for the age calculation,
+     *                           { age } seconds the response already spent in an upstream cache
+     * @returns {object} { etag, storedIn: [tierId], refused: [{ tier, reason }], evicted: [eviction] }
+     */
+    store(url, method, response, cacheControl, options = {}) {
         const directives = this.parseCacheControl(cacheControl);
-        
-        // Calculate expiration time
-        const maxAge = directives['max-age'] || 3600; // Default 1 hour
-        const expiresAt = now + (maxAge * 1000);
-        
-        // Generate ETag if not present
-        const etag = response.headers.ETag || this.generateETag(response.body);
-        
+        const tierIds = options.tiers || TIERS.map(tier => tier.id);
+        const storedIn = [];
+        const refused = [];
+        const evicted = [];
+        let etag = headerValue(response.headers, 'ETag') || null;
+
+        tierIds.forEach(tierId => {
+            const tier = this.getTier(tierId);
+            const decision = this.isStorable(tier, directives, options.requestHeaders, response, method);
+            if (!decision.storable) {
+                refused.push({ tier: tierId, reason: decision.reason });
+                return;
+            }
+            if (this.entrySize(response) > this.limits.maxBytes) {
+                refused.push({ tier: tierId, reason: 'too large' });
+                return;
+            }
+
+            const stored = this.storeInTier(tier, url, method, response, directives, options);
+            etag = stored.etag;
+            evicted.push(...stored.evicted);
+            storedIn.push(tierId);
+        });
+
+        return { etag, storedIn, refused, evicted };
+    }
+
+    /**
+     * Store response in one tier's map
+     * @param {object} exchange - { requestHeaders, requestTime, responseTime, age } as passed to store()
+     * @returns {object} { etag, evicted } with the entries given up to make room
+     */
+    storeInTier(tier, url, method, response, directives, exchange = {}) {
+        const now = Date.now();
+        const requestTime = exchange.requestTime || now;
+        const responseTime = exchange.responseTime || now;
+        const headers = response.headers || {};
+
+        // A response with Vary is stored per combination of the request headers it names
+        const vary = this.parseVary(headers);
+        const selection = this.selectingHeaders(vary, exchange.requestHeaders);
+        const key = vary.includes('*')
+            ? `${this.generateCacheKey(url, method)} [*]`
+            : this.generateCacheKey(url, method, selection);
+
+        // Initial age (RFC 9111 §4.2.3): the larger of the clock-based apparent age and the
+        // Age the response arrived with plus the time the request spent in flight.
+        // A copy from an upstream tier arrives as old as it was there
+        const dateValue = parseDate(headerValue(headers, 'Date')) || responseTime;
+        const ageValue = exchange.age !== undefined ? exchange.age : (parseInt(headerValue(headers, 'Age'), 10) || 0);
+        const apparentAge = Math.max(0, (responseTime - dateValue) / 1000);
+        const responseDelay = (responseTime - requestTime) / 1000;
+        const correctedInitialAge = Math.max(apparentAge, ageValue + responseDelay);
+
+        const lifetime = this.freshnessLifetime(tier, directives, headers, dateValue);
+        const expiresAt = responseTime + (lifetime.seconds - correctedInitialAge) * 1000;
+
+        // Generate ETag if not present; only the origin's own validators are sent back to it
+        const etag = headerValue(headers, 'ETag') || this.generateETag(response.body);
+        const validators = {
+            etag: headerValue(headers, 'ETag') || null,
+            lastModified: headerValue(headers, 'Last-Modified') || null
+        };
+
         // Store cache entry
-        this.cache.set(key, {
+        tier.cache.set(key, {
             response: {
                 ...response,
-                headers: {
-                    ...response.headers,
-                    'ETag': etag
-                }
+                headers: headers
             },
-            storedAt: now,
+            primaryKey: this.generateCacheKey(url, method),
+            vary: vary,
+            selection: selection,
+            storedAt: responseTime,
+            responseTime: responseTime,
+            correctedInitialAge: correctedInitialAge,
+            freshnessLifetime: lifetime.seconds,
+            lifetimeRule: lifetime.rule,
             expiresAt: expiresAt,
             etag: etag,
-            lastModified: response.headers['Last-Modified'] || new Date(now).toUTCString(),
+            lastModified: headerValue(headers, 'Last-Modified') || new Date(dateValue).toUTCString(),
+            validators: validators,
             accessCount: 0,
             lastAccessed: now
         });
 
         // Store metadata
-        this.cacheMetadata.set(key, {
+        tier.cacheMetadata.set(key, {
             url,
             method,
-            size: JSON.stringify(response.body).length,
-            maxAge: maxAge,
+            size: this.entrySize(response),
             directives: directives
         });
 
-        console.log(`✅ Cached: ${key} (expires in ${maxAge}s)`);
-        
-        return etag;
+        console.log(`✅ Cached in ${tier.name}: ${key} (fresh for ${lifetime.seconds}s from ${LIFETIME_SOURCES[lifetime.rule]})`);
+
+        return { etag, evicted: this.enforceCapacity(tier, key) };
+    }
+
+    /**
+     * Bytes an entry counts against a tier's capacity
+     */
+    entrySize(response) {
+        return (JSON.stringify(response.body) || '').length;
+    }
+
+    /**
+     * Bytes a tier holds
+     */
+    tierSize(tier) {
+        let size = 0;
+        tier.cacheMetadata.forEach(metadata => {
+            size += metadata.size;
+        });
+        return size;
+    }
+
+    /**
+     * Evict until the tier fits its limits. Entries that can never be reused again go first,
+     * then the policy picks; the entry just stored is never its own victim
+     * @returns {Array} [{ tier, key, url, size, reason, policy, accessCount, at }]
+     */
+    enforceCapacity(tier, storedKey = null) {
+        const overLimit = () => tier.cache.size > this.limits.maxEntries || this.tierSize(tier) > this.limits.maxBytes;
+        if (!overLimit()) return [];
+
+        const evicted = this.cleanupTier(tier, storedKey);
+
+        while (overLimit()) {
+            const reason = tier.cache.size > this.limits.maxEntries ? 'entries' : 'bytes';
+            let victim = null;
+            tier.cache.forEach((cached, key) => {
+                if (key !== storedKey && (!victim || this.evictsBefore(cached, victim.cached))) {
+                    victim = { key, cached };
+                }
+            });
+            if (!victim) break;
+
+            evicted.push(this.evict(tier, victim.key, reason, this.limits.policy));
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Whether the active policy gives up entry a before entry b
+     */
+    evictsBefore(a, b) {
+        switch (this.limits.policy) {
+            case 'lfu':
+                return a.accessCount !== b.accessCount ? a.accessCount < b.accessCount : a.lastAccessed < b.lastAccessed;
+            case 'fifo':
+                return a.storedAt < b.storedAt;
+            case 'ttl':
+                return a.expiresAt < b.expiresAt;
+            default:
+                return a.lastAccessed < b.lastAccessed;
+        }
+    }
+
+    /**
+     * Remove one entry and record why
+     */
+    evict(tier, key, reason, policy) {
+        const cached = tier.cache.get(key);
+        const metadata = tier.cacheMetadata.get(key);
+        tier.cache.delete(key);
+        tier.cacheMetadata.delete(key);
+        tier.evictions++;
+
+        const eviction = {
+            tier: tier.id,
+            key,
+            url: metadata.url,
+            size: metadata.size,
+            reason,
+            policy,
+            accessCount: cached.accessCount,
+            at: new Date().toISOString()
+        };
+        this.evictionLog.unshift(eviction);
+        this.evictionLog.length = Math.min(this.evictionLog.length, EVICTION_LOG_SIZE);
+
+        console.log(`🧹 Evicted from ${tier.name} (${policy || reason}): ${key}`);
+        return eviction;
+    }
+
+    /**
+     * Walk the tiers from the browser towards the origin until one can answer.
+     * A hit is copied into the tiers it passes on the way back, keeping its age.
+     * @returns {object} { hit, tier, result, hops: [{ tier, name, status, hit, rule }], filled: [tierId],
+     *                     staleIfError, revalidate } where staleIfError is the nearest tier allowed to
+     *                     answer with its stale copy if the origin fails, and revalidate is the nearest
+     *                     stored copy to validate with the origin: { tier, name, etag, lastModified },
+     *                     and evicted lists entries given up to make room for filled copies
+     */
+    lookup(url, method, requestHeaders = {}) {
+        const hops = [];
+        const passed = [];
+        let staleIfError = null;
+        let revalidate = null;
+        const evicted = [];
+
+        for (const tier of this.tiers.values()) {
+            const result = this.retrieve(url, method, requestHeaders, tier.id);
+            let status = 'miss';
+            if (result.hit) {
+                status = result.type === 'stale' ? 'stale-hit' : 'hit';
+            } else if (result.revalidate) {
+                status = 'revalidate';
+            }
+            hops.push({ tier: tier.id, name: tier.name, status, hit: result.hit, rule: result.decision.explanation });
+
+            if (result.hit) {
+                const { key, cached } = this.findVariant(tier, url, method, requestHeaders);
+                const { directives } = tier.cacheMetadata.get(key);
+                const age = Math.floor(this.currentAge(cached, Date.now()));
+
+                const filled = passed.filter(lower => this.isStorable(lower, directives, requestHeaders, cached.response, method).storable);
+                filled.forEach(lower => {
+                    evicted.push(...this.storeInTier(lower, url, method, cached.response, directives, { age, requestHeaders }).evicted);
+                });
+
+                return { hit: true, tier: tier.id, result, hops, filled: filled.map(lower => lower.id), staleIfError: null, revalidate: null, evicted };
+            }
+            if (result.staleIfError && !staleIfError) {
+                staleIfError = tier.id;
+            }
+            if (result.revalidate && !revalidate) {
+                revalidate = { tier: tier.id, name: tier.name, etag: result.etag, lastModified: result.lastModified };
+            }
+            passed.push(tier);
+        }
+
+        return { hit: false, tier: null, result: null, hops, filled: [], staleIfError, revalidate, evicted };
+    }
+
+    /**
+     * Seconds since the origin generated the stored response (RFC 9111 §4.2.3)
+     */
+    currentAge(cached, now) {
+        return cached.correctedInitialAge + (now - cached.responseTime) / 1000;
+    }
+
+    /**
+     * Decide whether a stored response may be reused for a request (RFC 9111 §4.2, §5.2)
+     * @returns {object} { outcome: fresh|stale|revalidate, rule, explanation, currentAge,
+     *                     freshnessLifetime, lifetimeRule, remaining, backgroundRevalidate, staleIfError }
+     */
+    evaluate(tier, cached, directives, requestHeaders = {}, now = Date.now()) {
+        const age = this.currentAge(cached, now);
+        const lifetime = cached.freshnessLifetime;
+        const staleness = age - lifetime;
+        const request = this.parseCacheControl(headerValue(requestHeaders, 'Cache-Control'));
+        const pragma = headerValue(requestHeaders, 'Pragma');
+        const ageText = `${Math.floor(age)}s old`;
+        const lifetimeText = `${lifetime}s lifetime from ${LIFETIME_SOURCES[cached.lifetimeRule]}`;
+
+        // Stale responses marked must-revalidate (or proxy-revalidate / s-maxage in shared tiers) are never served stale
+        let mustRevalidate = null;
+        if (directives['must-revalidate']) {
+            mustRevalidate = 'must-revalidate';
+        } else if (tier.shared && directives['proxy-revalidate']) {
+            mustRevalidate = 'proxy-revalidate';
+        } else if (tier.shared && directives['s-maxage'] !== undefined) {
+            mustRevalidate = 's-maxage';
+        }
+
+        const decide = (outcome, rule, explanation, extra = {}) => ({
+            outcome,
+            rule,
+            explanation,
+            currentAge: Math.floor(age),
+            freshnessLifetime: lifetime,
+            lifetimeRule: cached.lifetimeRule,
+            remaining: Math.max(0, Math.floor(lifetime - age)),
+            backgroundRevalidate: false,
+            staleIfError: !mustRevalidate && directives['stale-if-error'] !== undefined
+                && staleness <= directives['stale-if-error'],
+            ...extra
+        });
+
+        if (directives['no-cache']) {
+            return decide('revalidate', 'no-cache', 'Response is marked no-cache: every reuse must be validated with the origin');
+        }
+        if (request['no-cache'] || (request.original === undefined && pragma && pragma.includes('no-cache'))) {
+            return decide('revalidate', 'request-no-cache', 'Request sent no-cache: the stored copy must be validated first');
+        }
+        if (request['max-age'] !== undefined && age > request['max-age']) {
+            return decide('revalidate', 'request-max-age', `Request accepts at most max-age=${request['max-age']}, the copy is ${ageText}`);
+        }
+        if (request['min-fresh'] !== undefined && lifetime - age < request['min-fresh']) {
+            return decide('revalidate', 'request-min-fresh', `Request wants min-fresh=${request['min-fresh']}, the copy has ${Math.max(0, Math.floor(lifetime - age))}s left`);
+        }
+        if (staleness < 0) {
+            return decide('fresh', cached.lifetimeRule, `Fresh: ${ageText} with a ${lifetimeText}`);
+        }
+
+        const staleText = `Stale by ${Math.floor(staleness)}s (${lifetimeText})`;
+        if (mustRevalidate) {
+            return decide('revalidate', mustRevalidate, `${staleText}; ${mustRevalidate} forbids serving it without validation`);
+        }
+        if (request['max-stale'] === true || (request['max-stale'] !== undefined && staleness <= request['max-stale'])) {
+            return decide('stale', 'max-stale', `${staleText}; the request accepts stale responses with max-stale`);
+        }
+        if (directives['stale-while-revalidate'] !== undefined && staleness <= directives['stale-while-revalidate']) {
+            return decide('stale', 'stale-while-revalidate',
+                `${staleText}; served within stale-while-revalidate=${directives['stale-while-revalidate']} while it is revalidated in the background`,
+                { backgroundRevalidate: true });
+        }
+        return decide('revalidate', 'stale', `${staleText}; the origin must validate or replace it`);
     }
 
     /**
-     * Retrieve from cache with validation
+     * Retrieve from one tier with validation
+     * @returns {object} A hit with the response and the decision that allowed it, or
+     *                   { hit: false, reason, decision } where revalidate marks a stored copy
+     *                   that may only be reused after validation (its etag and lastModified are included)
      */
-    retrieve(url, method, requestHeaders = {}) {
-        const key = this.generateCacheKey(url, method);
-        const cached = this.cache.get(key);
-        
-        if (!cached) {
-            return { hit: false, reason: 'not-found' };
+    retrieve(url, method, requestHeaders = {}, tierId = 'browser') {
+        const tier = this.getTier(tierId);
+        const variant = this.findVariant(tier, url, method, requestHeaders);
+
+        if (!variant) {
+            tier.misses++;
+            const stored = this.countVariants(tier, url, method);
+            return {
+                hit: false,
+                reason: 'not-found',
+                decision: {
+                    outcome: 'miss',
+                    rule: stored > 0 ? 'vary' : 'not-found',
+                    explanation: stored > 0
+                        ? `${stored} stored variant${stored === 1 ? '' : 's'} in the ${tier.name}, none selected by this request's Vary headers`
+                        : `No stored response in the ${tier.name}`
+                }
+            };
         }
 
+        const { key, cached } = variant;
+
         const now = Date.now();
-        
-        // Check if cache is expired
-        if (now > cached.expiresAt) {
-            this.cache.delete(key);
-            this.cacheMetadata.delete(key);
-            return { hit: false, reason: 'expired', expiredAt: cached.expiresAt };
+        const decision = this.evaluate(tier, cached, tier.cacheMetadata.get(key).directives, requestHeaders, now);
+
+        if (decision.outcome === 'revalidate') {
+            tier.misses++;
+            return {
+                hit: false,
+                reason: decision.rule,
+                decision,
+                revalidate: true,
+                etag: cached.validators.etag,
+                lastModified: cached.validators.lastModified,
+                staleIfError: decision.staleIfError
+            };
         }
 
+        tier.hits++;
+
         // Validate conditional requests
         const ifNoneMatch = requestHeaders['If-None-Match'];
         const ifModifiedSince = requestHeaders['If-Modified-Since'];
@@ -94,7 +651,7 @@ class CacheSimulator {
             // Update access stats
             cached.accessCount++;
             cached.lastAccessed = now;
-            this.cache.set(key, cached);
+            tier.cache.set(key, cached);
 
             return {
                 hit: true,
@@ -102,17 +659,19 @@ class CacheSimulator {
                 statusCode: 304,
                 statusText: 'Not Modified',
                 headers: {
-                    'Cache-Control': this.cacheMetadata.get(key).directives.original || 'max-age=3600',
+                    'Cache-Control': tier.cacheMetadata.get(key).directives.original || 'max-age=3600',
                     'ETag': cached.etag,
                     'Last-Modified': cached.lastModified,
-                    'Age': Math.floor((now - cached.storedAt) / 1000),
+                    'Age': decision.currentAge,
                     'X-Cache': 'HIT',
-                    'X-Cache-Lookup': 'HIT from cache'
+                    'X-Cache-Lookup': `HIT from ${tier.name}`
                 },
                 body: null, // 304 responses have no body
                 cached: true,
-                cacheAge: now - cached.storedAt,
-                remainingTime: cached.expiresAt - now
+                decision,
+                cacheAge: decision.currentAge * 1000,
+                remainingTime: Math.max(0, cached.expiresAt - now),
+                freshnessLifetime: cached.freshnessLifetime
             };
         }
 
@@ -120,11 +679,11 @@ class CacheSimulator {
         if (ifModifiedSince) {
             const modifiedDate = new Date(cached.lastModified).getTime();
             const sinceDate = new Date(ifModifiedSince).getTime();
-            
+
             if (modifiedDate <= sinceDate) {
                 cached.accessCount++;
                 cached.lastAccessed = now;
-                this.cache.set(key, cached);
+                tier.cache.set(key, cached);
 
                 return {
                     hit: true,
@@ -132,79 +691,206 @@ class CacheSimulator {
                     statusCode: 304,
                     statusText: 'Not Modified',
                     headers: {
-                        'Cache-Control': this.cacheMetadata.get(key).directives.original || 'max-age=3600',
+                        'Cache-Control': tier.cacheMetadata.get(key).directives.original || 'max-age=3600',
                         'Last-Modified': cached.lastModified,
-                        'Age': Math.floor((now - cached.storedAt) / 1000),
+                        'Age': decision.currentAge,
                         'X-Cache': 'HIT',
-                        'X-Cache-Lookup': 'HIT from cache'
+                        'X-Cache-Lookup': `HIT from ${tier.name}`
                     },
                     body: null,
                     cached: true,
-                    cacheAge: now - cached.storedAt,
-                    remainingTime: cached.expiresAt - now
+                    decision,
+                    cacheAge: decision.currentAge * 1000,
+                    remainingTime: Math.max(0, cached.expiresAt - now),
+                    freshnessLifetime: cached.freshnessLifetime
                 };
             }
         }
 
         // Full cache hit - return complete response
+        return this.serveStored(tier, key, cached, decision, now);
+    }
+
+    /**
+     * Complete stored response as a hit, fresh or stale
+     */
+    serveStored(tier, key, cached, decision, now) {
         cached.accessCount++;
         cached.lastAccessed = now;
-        this.cache.set(key, cached);
+        tier.cache.set(key, cached);
 
+        const stale = decision.outcome !== 'fresh';
         return {
             hit: true,
-            type: 'full',
-            statusCode: 200,
-            statusText: 'OK',
+            type: stale ? 'stale' : 'full',
+            statusCode: cached.response.statusCode || 200,
+            statusText: cached.response.statusText || 'OK',
             headers: {
                 ...cached.response.headers,
-                'Age': Math.floor((now - cached.storedAt) / 1000),
-                'X-Cache': 'HIT',
-                'X-Cache-Lookup': 'HIT from cache'
+                'Age': decision.currentAge,
+                'X-Cache': stale ? 'STALE' : 'HIT',
+                'X-Cache-Lookup': `${stale ? 'STALE' : 'HIT'} from ${tier.name}`
             },
             body: cached.response.body,
+            bodyInfo: cached.response.bodyInfo,
             cached: true,
-            cacheAge: now - cached.storedAt,
-            remainingTime: cached.expiresAt - now
+            decision,
+            backgroundRevalidate: decision.backgroundRevalidate,
+            cacheAge: decision.currentAge * 1000,
+            remainingTime: Math.max(0, cached.expiresAt - now),
+            freshnessLifetime: cached.freshnessLifetime
+        };
+    }
+
+    /**
+     * Answer with a tier's stale copy because the origin failed (stale-if-error, RFC 5861)
+     * @returns {object|null} A stale hit, or null when the tier holds no copy
+     */
+    serveStale(url, method, tierId, requestHeaders = {}) {
+        const tier = this.getTier(tierId);
+        const variant = this.findVariant(tier, url, method, requestHeaders);
+        if (!variant) return null;
+
+        const { key, cached } = variant;
+        const now = Date.now();
+        const directives = tier.cacheMetadata.get(key).directives;
+        const evaluated = this.evaluate(tier, cached, directives, {}, now);
+        const decision = {
+            ...evaluated,
+            outcome: 'stale',
+            rule: 'stale-if-error',
+            explanation: `The origin failed; stale-if-error=${directives['stale-if-error']} allows serving the copy (${evaluated.currentAge}s old) instead`
         };
+
+        return this.serveStored(tier, key, cached, decision, now);
+    }
+
+    /**
+     * Freshen stored copies with a 304 Not Modified (RFC 9111 §4.3.4): every tier's copy the
+     * validator selects gets the 304's header fields, a new age and a new freshness lifetime
+     * @param {object} notModified - The 304 response ({ headers })
+     * @param {object} options - { requestHeaders, requestTime, responseTime } as for store()
+     * @returns {object|null} { response, refreshed: [tierId] } with the nearest refreshed copy,
+     *                        or null when no stored copy matches the validator
+     */
+    refresh(url, method, notModified, options = {}) {
+        const etag = headerValue(notModified.headers, 'ETag');
+        const lastModified = headerValue(notModified.headers, 'Last-Modified');
+        const refreshed = [];
+        let response = null;
+
+        this.tiers.forEach(tier => {
+            const variant = this.findVariant(tier, url, method, options.requestHeaders);
+            if (!variant) return;
+
+            const { key, cached } = variant;
+            const { validators } = cached;
+            let selected = true;
+            if (etag) {
+                selected = validators.etag === etag;
+            } else if (lastModified) {
+                selected = validators.lastModified === lastModified;
+            }
+            if (!selected) return;
+
+            // The stored body is kept; the 304's fields replace stored ones, except the stored body's framing
+            const headers = Object.fromEntries(Object.entries(cached.response.headers).filter(([name]) =>
+                headerValue(notModified.headers, name) === undefined || NOT_REFRESHED.includes(name.toLowerCase())));
+            Object.entries(notModified.headers).forEach(([name, value]) => {
+                if (!NOT_REFRESHED.includes(name.toLowerCase())) headers[name] = value;
+            });
+
+            const directives = this.parseCacheControl(headerValue(headers, 'Cache-Control'));
+            const accessCount = cached.accessCount;
+            this.storeInTier(tier, url, method, { ...cached.response, headers }, directives, options);
+            if (tier.cache.has(key)) {
+                tier.cache.get(key).accessCount = accessCount;
+            }
+
+            refreshed.push(tier.id);
+            response = response || { ...cached.response, headers };
+        });
+
+        return refreshed.length > 0 ? { response, refreshed } : null;
+    }
+
+    /**
+     * Check if resource should be revalidated before it is reused
+     */
+    shouldRevalidate(url, method, tierId = 'browser', requestHeaders = {}) {
+        const tier = this.getTier(tierId);
+        const variant = this.findVariant(tier, url, method, requestHeaders);
+
+        if (!variant) return false;
+
+        const { key, cached } = variant;
+        return this.evaluate(tier, cached, tier.cacheMetadata.get(key).directives, requestHeaders).outcome !== 'fresh';
+    }
+
+    /**
+     * Number of entries a tier holds for a URL, across its variants
+     */
+    countVariants(tier, url, method) {
+        const primaryKey = this.generateCacheKey(url, method);
+        let count = 0;
+        tier.cache.forEach(cached => {
+            if (cached.primaryKey === primaryKey) count++;
+        });
+        return count;
     }
 
     /**
-     * Check if resource should be revalidated
+     * Every stored variant of a URL in every tier, with the request headers that select it
      */
-    shouldRevalidate(url, method) {
-        const key = this.generateCacheKey(url, method);
-        const cached = this.cache.get(key);
-        
-        if (!cached) return false;
-        
+    listVariants(url, method = 'GET') {
+        const primaryKey = this.generateCacheKey(url, method);
         const now = Date.now();
-        const age = now - cached.storedAt;
-        const maxAge = this.cacheMetadata.get(key).maxAge * 1000;
-        
-        // Revalidate if more than 80% of max-age has passed
-        return age > (maxAge * 0.8);
+        const variants = [];
+
+        this.tiers.forEach(tier => {
+            tier.cache.forEach((cached, key) => {
+                if (cached.primaryKey !== primaryKey) return;
+
+                const age = this.currentAge(cached, now);
+                variants.push({
+                    key,
+                    tier: tier.id,
+                    vary: cached.vary,
+                    selection: cached.selection,
+                    contentType: headerValue(cached.response.headers, 'Content-Type') || null,
+                    contentLanguage: headerValue(cached.response.headers, 'Content-Language') || null,
+                    contentEncoding: headerValue(cached.response.headers, 'Content-Encoding') || null,
+                    age: Math.floor(age),
+                    stale: age >= cached.freshnessLifetime
+                });
+            });
+        });
+
+        return variants;
     }
 
     /**
-     * Parse Cache-Control header
+     * Parse Cache-Control header; names are case-insensitive and delta-seconds become numbers
      */
     parseCacheControl(cacheControl) {
         const directives = { original: cacheControl };
-        
+
         if (!cacheControl) return directives;
-        
-        const parts = cacheControl.split(',').map(p => p.trim());
-        
+
+        const parts = cacheControl.split(',').map(p => p.trim()).filter(Boolean);
+
         parts.forEach(part => {
-            if (part.includes('=')) {
-                const [key, value] = part.split('=');
-                directives[key.trim()] = parseInt(value.trim()) || value.trim();
-            } else {
-                directives[part] = true;
+            const separator = part.indexOf('=');
+            if (separator === -1) {
+                directives[part.toLowerCase()] = true;
+                return;
             }
+
+            const key = part.slice(0, separator).trim().toLowerCase();
+            const value = part.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+            directives[key] = /^\d+$/.test(value) ? parseInt(value, 10) : value;
         });
-        
+
         return directives;
     }
 
@@ -214,66 +900,117 @@ class CacheSimulator {
     generateETag(body) {
         const content = JSON.stringify(body);
         let hash = 0;
-        
+
         for (let i = 0; i < content.length; i++) {
             const char = content.charCodeAt(i);
             hash = ((hash << 5) - hash) + char;
             hash = hash & hash; // Convert to 32-bit integer
         }
-        
+
         return `"${Math.abs(hash).toString(36)}"`;
     }
 
     /**
-     * Invalidate cache entry
+     * Invalidate cache entry in every tier, or narrow it to one tier and one stored variant
+     * @param {object} scope - { tier, key }, each optional
      */
-    invalidate(url, method = 'GET') {
-        const key = this.generateCacheKey(url, method);
-        const deleted = this.cache.delete(key);
-        this.cacheMetadata.delete(key);
-        
+    invalidate(url, method = 'GET', scope = {}) {
+        const primaryKey = this.generateCacheKey(url, method);
+        let deleted = false;
+
+        this.tiers.forEach(tier => {
+            if (scope.tier && tier.id !== scope.tier) return;
+
+            tier.cache.forEach((cached, key) => {
+                if (cached.primaryKey !== primaryKey || (scope.key && key !== scope.key)) return;
+                tier.cache.delete(key);
+                tier.cacheMetadata.delete(key);
+                deleted = true;
+            });
+        });
+
         if (deleted) {
-            console.log(`🗑️  Cache invalidated: ${key}`);
+            console.log(`🗑️  Cache invalidated: ${scope.key || `${primaryKey} (all variants)`}${scope.tier ? ` in ${this.getTier(scope.tier).name}` : ''}`);
         }
-        
+
         return deleted;
     }
 
     /**
-     * Clear all cache
+     * Clear all tiers and their hit and eviction counters
      */
     clear() {
-        const size = this.cache.size;
-        this.cache.clear();
-        this.cacheMetadata.clear();
+        let size = 0;
+        this.tiers.forEach(tier => {
+            size += tier.cache.size;
+            tier.cache.clear();
+            tier.cacheMetadata.clear();
+            tier.hits = 0;
+            tier.misses = 0;
+            tier.evictions = 0;
+        });
+        this.evictionLog = [];
         console.log(`🗑️  Cleared ${size} cache entries`);
         return size;
     }
 
     /**
-     * Get cache statistics
+     * Get cache statistics, overall and per tier
      */
     getStats() {
         const stats = {
-            totalEntries: this.cache.size,
+            totalEntries: 0,
             totalSize: 0,
-            entries: []
+            totalEvictions: 0,
+            limits: this.getLimits(),
+            entries: [],
+            tiers: [],
+            evictions: this.evictionLog.slice()
         };
+        const now = Date.now();
+
+        this.tiers.forEach(tier => {
+            let tierSize = 0;
+
+            tier.cache.forEach((cached, key) => {
+                const metadata = tier.cacheMetadata.get(key);
+                const age = this.currentAge(cached, now);
 
-        this.cache.forEach((cached, key) => {
-            const metadata = this.cacheMetadata.get(key);
-            const now = Date.now();
-            
-            stats.totalSize += metadata.size;
-            stats.entries.push({
-                key,
-                url: metadata.url,
-                method: metadata.method,
-                size: metadata.size,
-                age: Math.floor((now - cached.storedAt) / 1000),
-                remainingTime: Math.max(0, Math.floor((cached.expiresAt - now) / 1000)),
-                accessCount: cached.accessCount,
-                lastAccessed: new Date(cached.lastAccessed).toISOString()
+                tierSize += metadata.size;
+                stats.entries.push({
+                    key,
+                    tier: tier.id,
+                    url: metadata.url,
+                    method: metadata.method,
+                    vary: cached.vary,
+                    selection: cached.selection,
+                    size: metadata.size,
+                    age: Math.floor(age),
+                    freshnessLifetime: cached.freshnessLifetime,
+                    lifetimeRule: cached.lifetimeRule,
+                    stale: age >= cached.freshnessLifetime,
+                    remainingTime: Math.max(0, Math.floor((cached.expiresAt - now) / 1000)),
+                    etag: cached.validators.etag,
+                    lastModified: cached.validators.lastModified,
+                    accessCount: cached.accessCount,
+                    lastAccessed: new Date(cached.lastAccessed).toISOString()
+                });
+            });
+
+            const lookups = tier.hits + tier.misses;
+            stats.totalEntries += tier.cache.size;
+            stats.totalSize += tierSize;
+            stats.totalEvictions += tier.evictions;
+            stats.tiers.push({
+                id: tier.id,
+                name: tier.name,
+                shared: tier.shared,
+                entries: tier.cache.size,
+                size: tierSize,
+                hits: tier.hits,
+                misses: tier.misses,
+                hitRatio: lookups > 0 ? Math.round((tier.hits / lookups) * 1000) / 1000 : null,
+                evictions: tier.evictions
             });
         });
 
@@ -281,25 +1018,24 @@ class CacheSimulator {
     }
 
     /**
-     * Cleanup expired entries
+     * Remove a tier's entries that can never be reused again: stale beyond any
+     * stale-while-revalidate or stale-if-error window, with no validator to revalidate them
+     * @returns {Array} The evictions, with reason "expired"
      */
-    cleanup() {
+    cleanupTier(tier, keepKey = null) {
         const now = Date.now();
-        let cleaned = 0;
+        const expired = [];
 
-        this.cache.forEach((cached, key) => {
-            if (now > cached.expiresAt) {
-                this.cache.delete(key);
-                this.cacheMetadata.delete(key);
-                cleaned++;
+        tier.cache.forEach((cached, key) => {
+            const { directives } = tier.cacheMetadata.get(key);
+            const window = Math.max(directives['stale-while-revalidate'] || 0, directives['stale-if-error'] || 0);
+            const validatable = cached.validators.etag || cached.validators.lastModified;
+            if (key !== keepKey && !validatable && now > cached.expiresAt + window * 1000) {
+                expired.push(key);
             }
         });
 
-        if (cleaned > 0) {
-            console.log(`🧹 Cleaned up ${cleaned} expired cache entries`);
-        }
-
-        return cleaned;
+        return expired.map(key => this.evict(tier, key, 'expired', null));
     }
 }
 
@@ -0,0 +1,171 @@
+/**
+ * Connection Comparison
+ * Sends the same request several times over persistent and non-persistent connections
+ */
+
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+const config = require('../../config/config');
+const timingTracker = require('./timingTracker');
+const destinationPolicy = require('./destinationPolicy');
+
+const MIN_REQUESTS = 2;
+const MAX_REQUESTS = 10;
+
+/**
+ * Agent for one run: a private keep-alive pool, or a fresh socket per request
+ */
+function createAgent(protocol, keepAlive) {
+    const options = { keepAlive: keepAlive, maxSockets: 1, lookup: destinationPolicy.lookup };
+
+    if (protocol === 'https:') {
+        return new https.Agent({
+            ...options,
+            rejectUnauthorized: false,
+            ALPNProtocols: ['http/1.1']
+        });
+    }
+
+    return new http.Agent(options);
+}
+
+/**
+ * Send a single request and drain its body
+ */
+function sendRequest(target, method, agent, connectionType, socketIds, timeout) {
+    return new Promise((resolve, reject) => {
+        const transport = target.protocol === 'https:' ? https : http;
+        const req = transport.request(target, {
+            method: method,
+            agent: agent,
+            headers: {
+                'User-Agent': 'HTTP-Simulator/1.0',
+                'Accept': '*/*',
+                'Connection': connectionType
+            },
+            timeout: timeout
+        });
+
+        const marks = timingTracker.trackRequest(req);
+        const result = {
+            socketId: null,
+            localPort: null,
+            reused: false,
+            statusCode: null,
+            timing: null,
+            error: null
+        };
+
+        // Number sockets in the order they were opened during this comparison
+        req.once('socket', (socket) => {
+            if (!socketIds.has(socket)) {
+                socketIds.set(socket, socketIds.size + 1);
+            }
+            result.socketId = socketIds.get(socket);
+
+            const recordPort = () => {
+                result.localPort = socket.localPort || null;
+            };
+            socket.connecting ? socket.once('connect', recordPort) : recordPort();
+        });
+
+        req.once('response', (res) => {
+            result.statusCode = res.statusCode;
+            res.resume();
+            res.once('end', () => {
+                result.reused = marks.reused;
+                result.timing = timingTracker.computeTiming(marks);
+                resolve(result);
+            });
+        });
+
+        req.once('timeout', () => {
+            req.destroy(new Error(`Request timed out after ${timeout}ms`));
+        });
+
+        req.once('error', (error) => {
+            // A refused destination ends the whole comparison
+            if (error.code === 'DESTINATION_BLOCKED') {
+                reject(error);
+                return;
+            }
+            result.error = error.message;
+            result.reused = marks.reused;
+            result.timing = timingTracker.computeTiming(marks);
+            resolve(result);
+        });
+
+        req.end();
+    });
+}
+
+/**
+ * Run the requests one after another with the given connection type
+ */
+async function runSeries(target, method, count, connectionType, timeout) {
+    const agent = createAgent(target.protocol, connectionType === 'keep-alive');
+    // Sockets are identified by object identity for the length of this run
+    const socketIds = new Map();
+    const requests = [];
+    const startedAt = performance.now();
+
+    try {
+        for (let i = 1; i <= count; i++) {
+            const result = await sendRequest(target, method, agent, connectionType, socketIds, timeout);
+            requests.push({ id: i, ...result });
+        }
+    } finally {
+        agent.destroy();
+    }
+
+    const handshakeTime = requests.reduce((sum, request) => {
+        const timing = request.timing || timingTracker.emptyTiming();
+        return sum + timing.dns + timing.tcp + timing.tls;
+    }, 0);
+
+    return {
+        connectionType: connectionType,
+        requests: requests,
+        socketsOpened: socketIds.size,
+        reusedCount: requests.filter(request => request.reused).length,
+        handshakeTime: Math.round(handshakeTime * 10) / 10,
+        totalTime: Math.round((performance.now() - startedAt) * 10) / 10
+    };
+}
+
+/**
+ * Compare keep-alive and close for the same URL
+ * @param {string} url - Target URL
+ * @param {number} count - Requests per connection type
+ * @param {string} method - HTTP method
+ * @returns {Promise<object>} Both series and the handshake time keep-alive saved
+ */
+async function compareConnections(url, count = 5, method = 'GET', timeout = config.DEFAULT_TIMEOUT) {
+    const target = new URL(url);
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        throw new Error('Only http:// and https:// URLs can be compared');
+    }
+    destinationPolicy.checkUrl(target.href);
+
+    const requestCount = Math.min(Math.max(parseInt(count, 10) || MIN_REQUESTS, MIN_REQUESTS), MAX_REQUESTS);
+
+    const keepAlive = await runSeries(target, method, requestCount, 'keep-alive', timeout);
+    const close = await runSeries(target, method, requestCount, 'close', timeout);
+
+    return {
+        url: target.href,
+        method: method,
+        count: requestCount,
+        keepAlive: keepAlive,
+        close: close,
+        handshakeTimeSaved: Math.round((close.handshakeTime - keepAlive.handshakeTime) * 10) / 10,
+        totalTimeSaved: Math.round((close.totalTime - keepAlive.totalTime) * 10) / 10
+    };
+}
+
+module.exports = {
+    MIN_REQUESTS,
+    MAX_REQUESTS,
+    compareConnections
+};
\ No newline at end of file
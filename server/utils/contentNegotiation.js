@@ -0,0 +1,115 @@
+/**
+ * Content Negotiation
+ * Proactive negotiation of media type, language and content coding from a request's Accept headers (RFC 9110 §12)
+ */
+
+/**
+ * Split an Accept-style header into ranges and their quality values
+ * @returns {Array} [{ range, q }] in the order the client listed them
+ */
+function parseAcceptHeader(value) {
+    if (!value) return [];
+
+    return String(value).split(',').map(part => {
+        const [range, ...params] = part.split(';').map(piece => piece.trim());
+        const qParam = params.find(param => /^q=/i.test(param));
+        const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+        return { range: range.toLowerCase(), q: Number.isFinite(q) ? Math.min(Math.max(q, 0), 1) : 1 };
+    }).filter(entry => entry.range);
+}
+
+/**
+ * How specifically a media range covers a type: 2 exact, 1 type/*, 0 for * / *, -1 not at all
+ */
+function matchMediaRange(range, type) {
+    if (range === '*/*') return 0;
+    if (range.endsWith('/*')) return type.startsWith(range.slice(0, -1)) ? 1 : -1;
+    return range === type ? 2 : -1;
+}
+
+/**
+ * Basic filtering (RFC 4647): "en" covers "en" and "en-US"; longer ranges are more specific.
+ * A regional range such as "fr-CA" falls back to its primary language, as in lookup
+ */
+function matchLanguageRange(range, tag) {
+    if (range === '*') return 0;
+    if (range === tag || tag.startsWith(`${range}-`)) return range.split('-').length;
+    return range.startsWith(`${tag}-`) ? 0.5 : -1;
+}
+
+/**
+ * Content codings match by name or the * wildcard
+ */
+function matchCoding(range, coding) {
+    if (range === '*') return 0;
+    return range === coding ? 1 : -1;
+}
+
+/**
+ * Quality the client gives an option: that of the most specific range covering it
+ */
+function qualityOf(ranges, option, match) {
+    let best = null;
+    ranges.forEach(entry => {
+        const specificity = match(entry.range, option);
+        if (specificity !== -1 && (!best || specificity > best.specificity)) {
+            best = { specificity, q: entry.q };
+        }
+    });
+    return best ? best.q : 0;
+}
+
+/**
+ * Highest-quality option the client accepts; ties go to the server's order
+ */
+function pickBest(ranges, available, match) {
+    let chosen = null;
+    available.forEach(option => {
+        const q = qualityOf(ranges, option, match);
+        if (q > 0 && (!chosen || q > chosen.q)) {
+            chosen = { value: option, q };
+        }
+    });
+    return chosen ? chosen.value : null;
+}
+
+/**
+ * Media type for an Accept header
+ * @returns {string|null} The server's first type when no Accept is sent, null when nothing is acceptable (406)
+ */
+function negotiateType(accept, available) {
+    const ranges = parseAcceptHeader(accept);
+    if (ranges.length === 0) return available[0];
+    return pickBest(ranges, available, matchMediaRange);
+}
+
+/**
+ * Language for an Accept-Language header; servers fall back to their default rather than refusing
+ */
+function negotiateLanguage(acceptLanguage, available) {
+    const ranges = parseAcceptHeader(acceptLanguage);
+    return pickBest(ranges, available, matchLanguageRange) || available[0];
+}
+
+/**
+ * Content coding for an Accept-Encoding header
+ * @returns {string|null} A coding, "identity" when none is wanted, or null when identity is refused too
+ */
+function negotiateEncoding(acceptEncoding, available) {
+    const ranges = parseAcceptHeader(acceptEncoding);
+    const coding = pickBest(ranges, available, matchCoding);
+    if (coding) return coding;
+
+    // identity is acceptable unless excluded by name or by *;q=0 (RFC 9110 §12.5.3)
+    const identity = ranges.find(entry => entry.range === 'identity');
+    const wildcard = ranges.find(entry => entry.range === '*');
+    const refused = identity ? identity.q === 0 : Boolean(wildcard && wildcard.q === 0);
+    return refused ? null : 'identity';
+}
+
+module.exports = {
+    parseAcceptHeader,
+    negotiateType,
+    negotiateLanguage,
+    negotiateEncoding
+};
\ No newline at end of file
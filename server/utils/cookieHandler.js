@@ -154,10 +154,10 @@ class CookieHandler {
     /**
      * Generate mock cookies for demonstration
      */
-    generateMockCookies(domain = 'example.com') {
-        const sessionId = this.generateRandomString(32);
-        const userId = Math.floor(Math.random() * 100000);
-        const csrfToken = this.generateRandomString(40);
+    generateMockCookies(domain = 'example.com', random = Math.random) {
+        const sessionId = this.generateRandomString(32, random);
+        const userId = Math.floor(random() * 100000);
+        const csrfToken = this.generateRandomString(40, random);
 
         return [
             `sessionId=${sessionId}; Path=/; HttpOnly; Secure; Max-Age=3600; SameSite=Strict`,
@@ -281,11 +281,11 @@ class CookieHandler {
     /**
      * Generate random string for cookie values
      */
-    generateRandomString(length) {
+    generateRandomString(length, random = Math.random) {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
         let result = '';
         for (let i = 0; i < length; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+            result += chars.charAt(Math.floor(random() * chars.length));
         }
         return result;
     }
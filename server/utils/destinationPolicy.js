@@ -0,0 +1,193 @@
+/**
+ * Destination Policy
+ * Keeps real requests away from loopback, private, link-local and metadata addresses (SSRF protection)
+ */
+
+const dns = require('dns');
+const net = require('net');
+const config = require('../../config/config');
+
+// Address ranges that are never reachable from the public internet
+const BLOCKED_RANGES = [
+    { label: 'loopback', ranges: [['127.0.0.0', 8, 'ipv4'], ['::1', 128, 'ipv6']] },
+    { label: 'private network', ranges: [['10.0.0.0', 8, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.168.0.0', 16, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['fc00::', 7, 'ipv6']] },
+    { label: 'link-local / cloud metadata', ranges: [['169.254.0.0', 16, 'ipv4'], ['fe80::', 10, 'ipv6']] },
+    { label: 'IPv4-mapped IPv6', ranges: [['::ffff:0:0', 96, 'ipv6']] },
+    { label: 'reserved', ranges: [['0.0.0.0', 8, 'ipv4'], ['::', 96, 'ipv6'], ['192.0.0.0', 24, 'ipv4'], ['192.0.2.0', 24, 'ipv4'], ['198.18.0.0', 15, 'ipv4'], ['198.51.100.0', 24, 'ipv4'], ['203.0.113.0', 24, 'ipv4'], ['240.0.0.0', 4, 'ipv4'], ['2001:db8::', 32, 'ipv6'], ['100::', 64, 'ipv6']] },
+    { label: 'multicast', ranges: [['224.0.0.0', 4, 'ipv4'], ['ff00::', 8, 'ipv6']] }
+].map(({ label, ranges }) => {
+    const list = new net.BlockList();
+    ranges.forEach(([network, prefix, type]) => list.addSubnet(network, prefix, type));
+    return { label, list };
+});
+
+/**
+ * Raised when a destination is not allowed by the policy
+ */
+class DestinationBlockedError extends Error {
+    constructor(hostname, address, reason) {
+        super(`Destination "${hostname}"${address && address !== hostname ? ` (${address})` : ''} is blocked: ${reason}`);
+        this.name = 'DestinationBlockedError';
+        this.code = 'DESTINATION_BLOCKED';
+        this.hostname = hostname;
+        this.address = address;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Split configured entries into hostname patterns and an address BlockList
+ */
+function compileEntries(entries = []) {
+    const patterns = [];
+    const addresses = new net.BlockList();
+
+    entries.forEach(entry => {
+        const [network, prefix] = entry.split('/');
+        const type = net.isIP(network) === 6 ? 'ipv6' : 'ipv4';
+
+        if (!net.isIP(network)) {
+            patterns.push(entry.toLowerCase());
+        } else if (prefix !== undefined) {
+            addresses.addSubnet(network, parseInt(prefix, 10), type);
+        } else {
+            addresses.addAddress(network, type);
+        }
+    });
+
+    return { patterns, addresses };
+}
+
+/**
+ * "*.example.com" matches subdomains only; anything else must match exactly
+ */
+function matchesPattern(hostname, patterns) {
+    return patterns.some(pattern => pattern.startsWith('*.')
+        ? hostname.endsWith(pattern.slice(1))
+        : hostname === pattern);
+}
+
+function normalizeHostname(hostname) {
+    // URL keeps IPv6 literals in brackets and may end FQDNs with a dot
+    return hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+function addressType(address) {
+    return net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+}
+
+/**
+ * Check a hostname before it is resolved
+ * @throws {DestinationBlockedError}
+ */
+function checkHostname(hostname) {
+    const host = normalizeHostname(hostname);
+    const policy = config.DESTINATION_POLICY;
+    const deny = compileEntries(policy.DENY);
+
+    if (matchesPattern(host, deny.patterns)) {
+        throw new DestinationBlockedError(host, null, 'host is on the deny list');
+    }
+
+    // IP literals never go through DNS, so their address is checked now
+    if (net.isIP(host)) {
+        checkAddress(host, host);
+    }
+}
+
+/**
+ * Check an address a hostname resolved to
+ * @throws {DestinationBlockedError}
+ */
+function checkAddress(hostname, address) {
+    const host = normalizeHostname(hostname);
+    const policy = config.DESTINATION_POLICY;
+    const type = addressType(address);
+    const deny = compileEntries(policy.DENY);
+    const allow = compileEntries(policy.ALLOW);
+
+    if (deny.addresses.check(address, type)) {
+        throw new DestinationBlockedError(host, address, 'address is on the deny list');
+    }
+
+    // The allow list only exempts destinations from the private-address rules
+    if (matchesPattern(host, allow.patterns) || allow.addresses.check(address, type)) {
+        return;
+    }
+
+    if (policy.BLOCK_PRIVATE_ADDRESSES) {
+        const blocked = BLOCKED_RANGES.find(({ list }) => list.check(address, type));
+        if (blocked) {
+            throw new DestinationBlockedError(host, address, `${blocked.label} addresses are not allowed`);
+        }
+    }
+}
+
+/**
+ * Check the host of a URL (every redirect hop goes through this)
+ * @throws {DestinationBlockedError}
+ */
+function checkUrl(url) {
+    checkHostname(new URL(url).hostname);
+}
+
+/**
+ * Drop-in replacement for dns.lookup that rejects blocked addresses.
+ * Used as the `lookup` option of agents, so the address that is actually
+ * connected to is the one that was checked.
+ */
+function lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    const lookupOptions = typeof options === 'number' ? { family: options } : options;
+
+    dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        try {
+            checkHostname(hostname);
+            addresses.forEach(({ address }) => checkAddress(hostname, address));
+        } catch (policyError) {
+            callback(policyError);
+            return;
+        }
+
+        if (lookupOptions.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+/**
+ * Resolve a URL's host and check every address without connecting
+ * @returns {Promise<string[]>} The resolved addresses
+ * @throws {DestinationBlockedError}
+ */
+async function resolveAndCheck(url) {
+    const hostname = normalizeHostname(new URL(url).hostname);
+    checkHostname(hostname);
+
+    if (net.isIP(hostname)) {
+        return [hostname];
+    }
+
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    addresses.forEach(({ address }) => checkAddress(hostname, address));
+    return addresses.map(({ address }) => address);
+}
+
+module.exports = {
+    DestinationBlockedError,
+    checkHostname,
+    checkAddress,
+    checkUrl,
+    lookup,
+    resolveAndCheck
+};
\ No newline at end of file
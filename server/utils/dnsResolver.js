@@ -0,0 +1,292 @@
+/**
+ * DNS Resolver Simulator
+ * Stub and recursive resolver walking root → TLD → authoritative, with TTL-honouring caches
+ */
+
+const net = require('net');
+const dnsZones = require('./dnsZones');
+
+const DEFAULT_STUB_RTT = 20; // ms to the ISP's recursive resolver
+const MAX_CNAME_HOPS = 8;
+const MAX_CACHE_ENTRIES = 500; // Per cache; lookups for arbitrary hostnames must not grow it forever
+
+const round = (value) => Math.round(value * 10) / 10;
+
+class DnsResolver {
+    constructor() {
+        // The operating system's stub cache and the recursive resolver's cache, keyed "name|type"
+        this.osCache = new Map();
+        this.resolverCache = new Map();
+    }
+
+    /**
+     * Cached entry if its TTL has not run out
+     */
+    fromCache(cache, key, now) {
+        const entry = cache.get(key);
+        if (!entry) return null;
+        if (now >= entry.expiresAt) {
+            cache.delete(key);
+            return null;
+        }
+        return { ...entry, remainingTtl: Math.ceil((entry.expiresAt - now) / 1000) };
+    }
+
+    /**
+     * Store a record set for the lowest TTL among its records
+     */
+    storeCache(cache, key, entry, ttl, now) {
+        // A full cache drops expired entries first, then the oldest stored ones
+        if (!cache.has(key) && cache.size >= MAX_CACHE_ENTRIES) {
+            this.cleanup(now);
+            while (cache.size >= MAX_CACHE_ENTRIES) {
+                cache.delete(cache.keys().next().value);
+            }
+        }
+        // Re-inserted so the Map's order stays the order entries were stored in
+        cache.delete(key);
+        cache.set(key, { ...entry, ttl, storedAt: now, expiresAt: now + ttl * 1000 });
+    }
+
+    /**
+     * Fully qualified names, localhost and IP literals; single-label names have no zone to walk
+     */
+    isResolvable(hostname) {
+        return hostname === 'localhost'
+            || net.isIP(hostname.replace(/^\[|\]$/g, '')) !== 0
+            || /^([a-z0-9-]+\.)+[a-z0-9-]+\.?$/i.test(hostname);
+    }
+
+    /**
+     * Resolve a hostname the way an application would: OS cache, then the recursive resolver
+     * @param {string} hostname - Name to look up
+     * @param {string} type - 'A' or 'AAAA'
+     * @param {object} options - { stubRtt } round trip to the recursive resolver
+     * @returns {object} { hostname, type, source, steps, records, addresses, nodata, time }
+     */
+    resolve(hostname, type = 'A', options = {}) {
+        const name = hostname.toLowerCase().replace(/\.$/, '');
+        const stubRtt = options.stubRtt !== undefined && options.stubRtt !== null ? options.stubRtt : DEFAULT_STUB_RTT;
+        const now = Date.now();
+        const steps = [];
+        let clock = 0;
+
+        const step = (from, to, query, result, duration, details = {}) => {
+            steps.push({ step: steps.length + 1, from, to, query, result, start: round(clock), duration: round(duration), ...details });
+            clock += duration;
+        };
+        const finish = (source, answer) => ({
+            hostname: name,
+            type,
+            source,
+            steps,
+            records: answer.records,
+            addresses: answer.records.filter(record => record.type === type).map(record => record.value),
+            nodata: answer.nodata,
+            time: round(clock)
+        });
+
+        if (net.isIP(name.replace(/^\[|\]$/g, '')) !== 0) {
+            step('application', 'stub resolver', `${name} ${type}`, 'ip literal', 0);
+            return finish('ip literal', { records: [], nodata: false });
+        }
+        if (name === 'localhost') {
+            const value = type === 'AAAA' ? '::1' : '127.0.0.1';
+            step('application', 'hosts file', `${name} ${type}`, 'answer', 0, { records: [`${name} ${type} ${value}`] });
+            return finish('hosts file', { records: [{ name, type, ttl: 0, value }], nodata: false });
+        }
+
+        const key = `${name}|${type}`;
+        const osCached = this.fromCache(this.osCache, key, now);
+        if (osCached) {
+            step('application', 'OS cache', `${name} ${type}`, 'cache hit', 0, {
+                records: osCached.nodata ? ['NODATA'] : osCached.records.map(formatRecord),
+                remainingTtl: osCached.remainingTtl
+            });
+            return finish('os cache', osCached);
+        }
+        step('application', 'OS cache', `${name} ${type}`, 'cache miss', 0);
+
+        step('stub resolver', 'recursive resolver', `${name} ${type}`, 'query', stubRtt / 2);
+        const answer = this.recurse(name, type, now, step);
+        step('recursive resolver', 'stub resolver', `${name} ${type}`, answer.nodata ? 'nodata' : 'answer', stubRtt / 2, {
+            records: answer.records.map(formatRecord).concat(answer.nodata ? ['NODATA'] : [])
+        });
+
+        // The stub keeps the whole chain for its shortest TTL
+        const ttl = Math.min(...answer.records.map(record => record.ttl), answer.nodata ? answer.soaTtl : Infinity);
+        this.storeCache(this.osCache, key, { records: answer.records, nodata: answer.nodata, soaTtl: answer.soaTtl }, ttl, now);
+
+        return finish(answer.fromCache ? 'resolver cache' : 'authoritative', answer);
+    }
+
+    /**
+     * The recursive resolver's side: answer from cache, or iterate from the closest known delegation
+     */
+    recurse(name, type, now, step) {
+        const records = [];
+        let current = name;
+        let fromCache = true;
+
+        for (let hop = 0; hop < MAX_CNAME_HOPS; hop++) {
+            const cachedAnswer = this.fromCache(this.resolverCache, `${current}|${type}`, now);
+            const cachedCname = !cachedAnswer && this.fromCache(this.resolverCache, `${current}|CNAME`, now);
+            const cached = cachedAnswer || cachedCname;
+
+            if (cached) {
+                step('recursive resolver', 'resolver cache', `${current} ${cachedAnswer ? type : 'CNAME'}`, 'cache hit', 0, {
+                    records: cached.nodata ? ['NODATA'] : cached.records.map(formatRecord),
+                    remainingTtl: cached.remainingTtl
+                });
+                const ttlLeft = cached.records.map(record => ({ ...record, ttl: cached.remainingTtl }));
+                records.push(...ttlLeft);
+                if (cachedAnswer) {
+                    return { records, nodata: cached.nodata, soaTtl: cached.remainingTtl, fromCache };
+                }
+                current = cached.records[0].value;
+                continue;
+            }
+
+            fromCache = false;
+            const answer = this.iterate(current, type, now, step);
+            records.push(...answer.records);
+            if (!answer.next) {
+                return { records, nodata: answer.nodata, soaTtl: answer.soaTtl, fromCache };
+            }
+            current = answer.next;
+        }
+
+        return { records, nodata: true, soaTtl: 0, fromCache };
+    }
+
+    /**
+     * Walk down from the deepest cached delegation to the zone's authoritative servers
+     */
+    iterate(name, type, now, step) {
+        const { tld, domain } = dnsZones.splitName(name);
+        const query = `${name} ${type}`;
+
+        const domainNs = this.fromCache(this.resolverCache, `${domain}|NS`, now);
+        const tldNs = domainNs ? null : this.fromCache(this.resolverCache, `${tld}|NS`, now);
+        if (domainNs || tldNs) {
+            const known = domainNs || tldNs;
+            step('recursive resolver', 'resolver cache', `${domainNs ? domain : tld} NS`, 'cache hit', 0, {
+                records: known.records.map(formatRecord),
+                remainingTtl: known.remainingTtl
+            });
+        }
+
+        if (!domainNs && !tldNs) {
+            const root = dnsZones.serversFor('.')[0];
+            const delegation = dnsZones.referral(tld);
+            step('recursive resolver', root.name, query, 'referral', dnsZones.serverLatency(root, '.'), {
+                server: root.address,
+                records: delegation.map(formatRecord)
+            });
+            this.storeCache(this.resolverCache, `${tld}|NS`, { records: delegation, nodata: false }, delegation[0].ttl, now);
+        }
+
+        if (!domainNs) {
+            const tldServer = dnsZones.serversFor(tld)[0];
+            const delegation = dnsZones.referral(domain);
+            step('recursive resolver', tldServer.name, query, 'referral', dnsZones.serverLatency(tldServer, tld), {
+                server: tldServer.address,
+                records: delegation.map(formatRecord)
+            });
+            this.storeCache(this.resolverCache, `${domain}|NS`, { records: delegation, nodata: false }, delegation[0].ttl, now);
+        }
+
+        const authority = dnsZones.serversFor(domain)[0];
+        const answer = dnsZones.authoritativeAnswer(domain, name, type);
+        const result = answer.next ? 'cname' : (answer.nodata && answer.records.length === 0 ? 'nodata' : 'answer');
+        step('recursive resolver', authority.name, query, result, dnsZones.serverLatency(authority, domain), {
+            server: authority.address,
+            records: answer.records.map(formatRecord).concat(answer.nodata ? [`NODATA (SOA minimum ${answer.soaTtl}s)`] : [])
+        });
+
+        // Each CNAME is cached on its own; the final record set (or NODATA) under the last name
+        const cnames = answer.records.filter(record => record.type === 'CNAME');
+        cnames.forEach(record => {
+            this.storeCache(this.resolverCache, `${record.name}|CNAME`, { records: [record], nodata: false }, record.ttl, now);
+        });
+        if (!answer.next) {
+            const finalName = cnames.length > 0 ? cnames[cnames.length - 1].value : name;
+            const finalRecords = answer.records.filter(record => record.type === type);
+            const ttl = answer.nodata ? answer.soaTtl : Math.min(...finalRecords.map(record => record.ttl));
+            this.storeCache(this.resolverCache, `${finalName}|${type}`, { records: finalRecords, nodata: answer.nodata }, ttl, now);
+        }
+
+        return answer;
+    }
+
+    /**
+     * Live contents of both caches with their remaining TTLs
+     */
+    getCache() {
+        const now = Date.now();
+        const describe = (cache) => {
+            const entries = [];
+            cache.forEach((entry, key) => {
+                if (now >= entry.expiresAt) return;
+                const [name, type] = key.split('|');
+                entries.push({
+                    name,
+                    type,
+                    nodata: entry.nodata,
+                    records: entry.records.map(formatRecord),
+                    ttl: entry.ttl,
+                    remainingTtl: Math.ceil((entry.expiresAt - now) / 1000)
+                });
+            });
+            return entries;
+        };
+
+        return {
+            os: describe(this.osCache),
+            resolver: describe(this.resolverCache)
+        };
+    }
+
+    /**
+     * Clear both caches
+     */
+    clear() {
+        const size = this.osCache.size + this.resolverCache.size;
+        this.osCache.clear();
+        this.resolverCache.clear();
+        console.log(`🗑️  Cleared ${size} DNS cache entries`);
+        return size;
+    }
+
+    /**
+     * Cleanup expired entries
+     */
+    cleanup(now = Date.now()) {
+        let cleaned = 0;
+
+        [this.osCache, this.resolverCache].forEach(cache => {
+            cache.forEach((entry, key) => {
+                if (now >= entry.expiresAt) {
+                    cache.delete(key);
+                    cleaned++;
+                }
+            });
+        });
+
+        if (cleaned > 0) {
+            console.log(`🧹 Cleaned up ${cleaned} expired DNS cache entries`);
+        }
+
+        return cleaned;
+    }
+}
+
+/**
+ * Zone-file style line for a record
+ */
+function formatRecord(record) {
+    return `${record.name} ${record.ttl} ${record.type} ${record.value}${record.glue ? ` (glue ${record.glue})` : ''}`;
+}
+
+// Export singleton instance
+module.exports = new DnsResolver();
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * DNS Zones
+ * Simulated root, TLD and authoritative data for any hostname, derived from the name itself
+ */
+
+const seededRandom = require('./seededRandom');
+
+const ROOT_SERVERS = [
+    { name: 'a.root-servers.net', address: '198.41.0.4' },
+    { name: 'f.root-servers.net', address: '192.5.5.241' },
+    { name: 'k.root-servers.net', address: '193.0.14.129' },
+    { name: 'm.root-servers.net', address: '202.12.27.33' }
+];
+
+const GTLD_SERVERS = [
+    { name: 'a.gtld-servers.net', address: '192.5.6.30' },
+    { name: 'b.gtld-servers.net', address: '192.33.14.30' }
+];
+
+// Second-level labels under which registrations happen one level deeper (example.co.uk)
+const SECOND_LEVEL = ['co', 'com', 'org', 'net', 'ac', 'gov', 'edu'];
+
+// Hostnames starting with www. are served through this CDN, one zone away
+const CDN_ZONE = 'example-cdn.net';
+
+const DELEGATION_TTL = 172800; // Two days, as the root and gTLD zones publish
+const CNAME_TTL = 3600;
+const ADDRESS_TTL = 300;
+const CDN_ADDRESS_TTL = 20; // CDNs keep address TTLs short to steer traffic
+const NEGATIVE_TTL = 300; // SOA minimum, how long NODATA is cached (RFC 2308)
+
+/**
+ * Split a hostname into its TLD and registered domain
+ */
+function splitName(hostname) {
+    const labels = hostname.split('.');
+    const tld = labels[labels.length - 1];
+    const depth = labels.length > 2 && tld.length === 2 && SECOND_LEVEL.includes(labels[labels.length - 2]) ? 3 : 2;
+    return { tld, domain: labels.slice(-depth).join('.') };
+}
+
+/**
+ * Documentation-range address, stable for a name
+ */
+function addressFor(name, type, index) {
+    const random = seededRandom.createRandom(`${name}#${index}`);
+    const octet = 1 + Math.floor(random() * 254);
+    return type === 'AAAA'
+        ? `2001:db8:${Math.floor(random() * 0xffff).toString(16)}::${octet.toString(16)}`
+        : `203.0.113.${octet}`;
+}
+
+/**
+ * Name servers answering for a zone, with their glue addresses
+ */
+function serversFor(zone) {
+    if (zone === '.') return ROOT_SERVERS;
+    if (zone === 'com' || zone === 'net') return GTLD_SERVERS;
+    if (!zone.includes('.')) {
+        return [{ name: `a.nic.${zone}`, address: addressFor(`a.nic.${zone}`, 'A', 0) }];
+    }
+    return ['ns1', 'ns2'].map(label => ({ name: `${label}.${zone}`, address: addressFor(`${label}.${zone}`, 'A', 0) }));
+}
+
+/**
+ * Round trip from the recursive resolver to a server: anycast roots are close,
+ * authoritative servers anywhere from nearby to another continent
+ */
+function serverLatency(server, zone) {
+    const random = seededRandom.createRandom(server.name);
+    if (zone === '.') return 5 + random() * 20;
+    if (!zone.includes('.')) return 10 + random() * 30;
+    return 20 + random() * 100;
+}
+
+/**
+ * What a zone's own data says about a name, before any CNAME is followed
+ * @returns {object} { cname } or { records } or { nodata: true }
+ */
+function zoneData(name, type) {
+    const { domain } = splitName(name);
+
+    if (domain === CDN_ZONE) {
+        // Customer names point at an edge host; edge hosts serve both address families
+        if (name.endsWith(`.edge.${CDN_ZONE}`)) {
+            const edge = `e${seededRandom.createRandom(name)().toString(36).slice(2, 6)}.a.${CDN_ZONE}`;
+            return { cname: { name, type: 'CNAME', ttl: ADDRESS_TTL, value: edge } };
+        }
+        return { records: [0, 1].map(index => ({ name, type, ttl: CDN_ADDRESS_TTL, value: addressFor(name, type, index) })) };
+    }
+
+    if (name.startsWith('www.')) {
+        return { cname: { name, type: 'CNAME', ttl: CNAME_TTL, value: `${name.slice(4)}.edge.${CDN_ZONE}` } };
+    }
+
+    // About a third of origins have no IPv6 address
+    if (type === 'AAAA' && seededRandom.createRandom(`${name}#v6`)() < 0.35) {
+        return { nodata: true };
+    }
+
+    const count = 1 + Math.floor(seededRandom.createRandom(`${name}#count`)() * 2);
+    return { records: Array.from({ length: count }, (_, index) => ({ name, type, ttl: ADDRESS_TTL, value: addressFor(name, type, index) })) };
+}
+
+/**
+ * An authoritative answer, following CNAMEs as far as they stay inside the zone
+ * @returns {object} { records, nodata, soaTtl, next } where next is a CNAME target in another zone
+ */
+function authoritativeAnswer(zone, name, type) {
+    const records = [];
+    let current = name;
+
+    while (records.length < 8) {
+        const data = zoneData(current, type);
+        if (data.records) return { records: records.concat(data.records), nodata: false, next: null };
+        if (data.nodata) return { records, nodata: true, soaTtl: NEGATIVE_TTL, next: null };
+
+        records.push(data.cname);
+        current = data.cname.value;
+        if (splitName(current).domain !== zone) {
+            return { records, nodata: false, next: current };
+        }
+    }
+
+    return { records, nodata: true, soaTtl: NEGATIVE_TTL, next: null };
+}
+
+/**
+ * Referral from a parent zone to the servers of a child zone
+ */
+function referral(child) {
+    return serversFor(child).map(server => ({ name: child, type: 'NS', ttl: DELEGATION_TTL, value: server.name, glue: server.address }));
+}
+
+module.exports = {
+    splitName,
+    serversFor,
+    serverLatency,
+    authoritativeAnswer,
+    referral
+};
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * HTTP/2 Client
+ * Multiplexes requests as streams over one real HTTP/2 session and times each stream
+ */
+
+const http2 = require('http2');
+const { performance } = require('perf_hooks');
+const config = require('../../config/config');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Open a session and wait until it is usable
+ * @returns {Promise<object>} { session, connectTime }
+ */
+function connect(origin, timeout, connectOptions) {
+    return new Promise((resolve, reject) => {
+        const started = performance.now();
+        const session = http2.connect(origin, {
+            // The simulator inspects any server, trusted or not
+            rejectUnauthorized: false,
+            ...connectOptions
+        });
+
+        const timer = setTimeout(() => {
+            session.destroy();
+            reject(new Error(`HTTP/2 connection to ${origin} timed out`));
+        }, timeout);
+
+        session.once('error', (error) => {
+            clearTimeout(timer);
+            if (error.code === 'DESTINATION_BLOCKED') {
+                reject(error);
+                return;
+            }
+            // Servers without h2 in their ALPN list abort the handshake
+            if (error.code === 'ERR_SSL_TLSV1_ALERT_NO_APPLICATION_PROTOCOL') {
+                reject(new Error(`${origin} does not support HTTP/2 (no ALPN protocol in common)`));
+                return;
+            }
+            reject(error);
+        });
+
+        session.once('connect', () => {
+            clearTimeout(timer);
+
+            // A TLS server that only offers HTTP/1.1 cannot carry streams
+            if (session.encrypted && session.alpnProtocol !== 'h2') {
+                session.destroy();
+                reject(new Error(`${origin} does not support HTTP/2 (ALPN negotiated ${session.alpnProtocol || 'nothing'})`));
+                return;
+            }
+
+            resolve({ session, connectTime: round(performance.now() - started) });
+        });
+    });
+}
+
+/**
+ * Send one request as a stream and record its milestones relative to sessionStart
+ */
+function sendStream(session, request, sessionStart) {
+    return new Promise((resolve) => {
+        const result = {
+            id: request.id,
+            url: request.url,
+            method: request.method,
+            streamId: null,
+            statusCode: null,
+            bytes: 0,
+            start: round(performance.now() - sessionStart),
+            headersReceived: null,
+            end: null,
+            time: null,
+            error: null
+        };
+
+        const stream = session.request({
+            ':method': request.method,
+            ':path': request.path
+        }, { endStream: true });
+
+        // The stream ID is assigned once the HEADERS frame is queued
+        stream.once('ready', () => {
+            result.streamId = stream.id;
+        });
+
+        stream.once('response', (headers) => {
+            result.headersReceived = round(performance.now() - sessionStart);
+            result.statusCode = headers[':status'];
+        });
+
+        stream.on('data', (chunk) => {
+            result.bytes += chunk.length;
+        });
+
+        stream.once('error', (error) => {
+            result.error = error.message;
+        });
+
+        stream.once('close', () => {
+            result.streamId = result.streamId || stream.id || null;
+            result.end = round(performance.now() - sessionStart);
+            result.time = round(result.end - result.start);
+            resolve(result);
+        });
+    });
+}
+
+/**
+ * Run all requests concurrently over a single HTTP/2 session
+ * @param {string} origin - Scheme, host and port to connect to
+ * @param {Array} requests - [{ id, url, method, path }]
+ * @param {object} connectOptions - Extra http2.connect() options, such as a lookup function
+ * @returns {Promise<object>} Per-stream timings and session details
+ */
+async function runSession(origin, requests, connectOptions = {}, timeout = config.DEFAULT_TIMEOUT) {
+    const sessionStart = performance.now();
+    const { session, connectTime } = await connect(origin, timeout, connectOptions);
+
+    try {
+        const streamsDone = Promise.all(requests.map(request => sendStream(session, request, sessionStart)));
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`HTTP/2 streams to ${origin} timed out`)), timeout);
+        });
+
+        const streams = await Promise.race([streamsDone, timedOut]).finally(() => clearTimeout(timer));
+
+        return {
+            origin: origin,
+            protocol: session.encrypted ? 'h2' : 'h2c',
+            connectTime: connectTime,
+            requests: streams,
+            totalTime: round(performance.now() - sessionStart)
+        };
+    } finally {
+        // Every stream has closed (or timed out), so nothing is left to drain
+        session.destroy();
+    }
+}
+
+module.exports = {
+    runSession
+};
\ No newline at end of file
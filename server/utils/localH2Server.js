@@ -0,0 +1,72 @@
+/**
+ * Local HTTP/2 Server
+ * Cleartext HTTP/2 (h2c) server used as the default target of real HTTP/2 comparisons
+ */
+
+const http2 = require('http2');
+
+let server = null;
+let listening = null;
+
+/**
+ * Answer every stream after the delay requested in its query string,
+ * so concurrent streams visibly overlap on the one connection
+ */
+function handleStream(stream, headers) {
+    const url = new URL(headers[':path'], 'http://localhost');
+    const delay = Math.min(Math.max(parseInt(url.searchParams.get('delay'), 10) || 0, 0), 5000);
+
+    const timer = setTimeout(() => {
+        if (stream.destroyed) return;
+
+        const body = JSON.stringify({
+            path: url.pathname,
+            streamId: stream.id,
+            delay: delay,
+            timestamp: new Date().toISOString()
+        });
+
+        stream.respond({
+            ':status': 200,
+            'content-type': 'application/json',
+            'content-length': Buffer.byteLength(body),
+            'server': 'HTTP-Simulator/1.0'
+        });
+        stream.end(body);
+    }, delay);
+
+    stream.on('close', () => clearTimeout(timer));
+}
+
+/**
+ * Start the server on first use and resolve with its origin
+ */
+function ensureStarted() {
+    if (listening) return listening;
+
+    server = http2.createServer();
+    server.on('stream', handleStream);
+    // Stray session errors (client resets) must not take the simulator down
+    server.on('sessionError', () => {});
+
+    listening = new Promise((resolve, reject) => {
+        server.once('error', (error) => {
+            listening = null;
+            reject(error);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            console.log(`🔀 Local HTTP/2 server listening on http://127.0.0.1:${port}`);
+            resolve(`http://127.0.0.1:${port}`);
+        });
+    });
+
+    // Never keep the process alive on its own
+    server.unref();
+
+    return listening;
+}
+
+module.exports = {
+    ensureStarted
+};
\ No newline at end of file
@@ -1,76 +1,315 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
 const config = require('../../config/config');
+const bodyInspector = require('./bodyInspector');
+const contentNegotiation = require('./contentNegotiation');
 const cookieHandler = require('./cookieHandler');
+const requestBuilder = require('./requestBuilder');
+
+// Representations the mock server can produce, in its own order of preference
+const MEDIA_TYPES = ['application/json', 'text/html', 'application/xml', 'text/plain'];
+const LANGUAGES = ['en', 'fr', 'de', 'es'];
+const ENCODINGS = ['br', 'gzip', 'deflate'];
+
+// Element names used as-is in XML bodies; anything else is written as an attribute value
+const XML_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9._-]*$/;
+
+const MESSAGES = {
+    en: {
+        GET: 'Data retrieved successfully',
+        POST: 'Resource created successfully',
+        PUT: 'Resource updated successfully',
+        DELETE: 'Resource deleted successfully',
+        default: 'Request processed',
+        notFound: 'Resource not found',
+        serverError: 'Server error occurred',
+        forbidden: 'Access denied',
+        notAcceptable: 'None of the accepted media types is available'
+    },
+    fr: {
+        GET: 'Données récupérées avec succès',
+        POST: 'Ressource créée avec succès',
+        PUT: 'Ressource mise à jour avec succès',
+        DELETE: 'Ressource supprimée avec succès',
+        default: 'Requête traitée',
+        notFound: 'Ressource introuvable',
+        serverError: 'Une erreur serveur est survenue',
+        forbidden: 'Accès refusé',
+        notAcceptable: 'Aucun des types de média acceptés n\'est disponible'
+    },
+    de: {
+        GET: 'Daten erfolgreich abgerufen',
+        POST: 'Ressource erfolgreich erstellt',
+        PUT: 'Ressource erfolgreich aktualisiert',
+        DELETE: 'Ressource erfolgreich gelöscht',
+        default: 'Anfrage verarbeitet',
+        notFound: 'Ressource nicht gefunden',
+        serverError: 'Serverfehler aufgetreten',
+        forbidden: 'Zugriff verweigert',
+        notAcceptable: 'Keiner der akzeptierten Medientypen ist verfügbar'
+    },
+    es: {
+        GET: 'Datos obtenidos correctamente',
+        POST: 'Recurso creado correctamente',
+        PUT: 'Recurso actualizado correctamente',
+        DELETE: 'Recurso eliminado correctamente',
+        default: 'Solicitud procesada',
+        notFound: 'Recurso no encontrado',
+        serverError: 'Se produjo un error del servidor',
+        forbidden: 'Acceso denegado',
+        notAcceptable: 'Ninguno de los tipos de medio aceptados está disponible'
+    }
+};
 
 /**
- * Generate mock HTTP response
+ * Generate mock HTTP response. Successful responses carry validators for the resource's current
+ * version; a conditional request (If-None-Match / If-Modified-Since) for that version gets a 304
+ * @param {object} request - Optional built request (see requestBuilder) echoed back in the body
+ * @param {object} options - { bodySize } pads the body to roughly that many bytes,
+ *                           { random } replaces Math.random for reproducible data
  */
-exports.generateResponse = (url, method, useCache = false, useCookies = false) => {
-    // If cache is enabled, return 304
-    if (useCache) {
-        return {
-            statusCode: 304,
-            statusText: 'Not Modified',
-            headers: {
-                ...config.DEFAULT_HEADERS,
-                'Cache-Control': 'max-age=3600',
-                'ETag': '"33a64df551425fcc55e4d42a148795d9f25f89d4"',
-                'Last-Modified': new Date(Date.now() - 3600000).toUTCString()
-            },
-            body: null,
-            cached: true,
-            cookies: useCookies ? cookieHandler.generateMockCookies(extractDomain(url)) : []
-        };
-    }
+exports.generateResponse = (url, method, useCookies = false, request = null, options = {}) => {
+    const random = options.random || Math.random;
+
+    // Negotiate the representation from the request's Accept headers
+    const requestHeaders = request ? request.headers : [];
+    const mediaType = contentNegotiation.negotiateType(findHeader(requestHeaders, 'Accept'), MEDIA_TYPES);
+    const language = contentNegotiation.negotiateLanguage(findHeader(requestHeaders, 'Accept-Language'), LANGUAGES);
+    const encoding = contentNegotiation.negotiateEncoding(findHeader(requestHeaders, 'Accept-Encoding'), ENCODINGS) || 'identity';
+    const messages = MESSAGES[language];
 
     // Determine status based on URL patterns
     let statusCode = 200;
     let statusText = 'OK';
     let body = {};
 
-    if (url.includes('404') || url.includes('notfound')) {
+    if (!mediaType) {
+        // Nothing acceptable: the error itself is sent in the default type
+        statusCode = 406;
+        statusText = 'Not Acceptable';
+        body = { error: messages.notAcceptable, available: MEDIA_TYPES };
+    } else if (url.includes('404') || url.includes('notfound')) {
         statusCode = 404;
         statusText = 'Not Found';
-        body = { error: 'Resource not found' };
+        body = { error: messages.notFound };
     } else if (url.includes('500') || url.includes('error')) {
         statusCode = 500;
         statusText = 'Internal Server Error';
-        body = { error: 'Server error occurred' };
+        body = { error: messages.serverError };
     } else if (url.includes('403') || url.includes('forbidden')) {
         statusCode = 403;
         statusText = 'Forbidden';
-        body = { error: 'Access denied' };
+        body = { error: messages.forbidden };
     } else {
         // Success response
-        body = generateMockData(method, url);
+        body = generateMockData(method, url, random, messages);
+    }
+
+    // Echo what the request builder sent, like a real echo API would
+    if (request && (request.headers.length > 0 || request.queryParams.length > 0 || request.body)) {
+        body.received = {
+            query: Object.fromEntries(request.queryParams),
+            headers: Object.fromEntries(request.headers),
+            contentType: request.contentType,
+            body: requestBuilder.parseBody(request.body, request.bodyType)
+        };
+    }
+
+    // Pad the body so download time can be shown for larger pages
+    if (options.bodySize) {
+        padBody(body, Math.min(options.bodySize, config.MAX_BODY_SIZE));
     }
 
+    // Serialize in the negotiated type, then apply the content coding
+    const contentType = `${mediaType || MEDIA_TYPES[0]}; charset=utf-8`;
+    const decoded = Buffer.from(serializeRepresentation(body, mediaType || MEDIA_TYPES[0], language));
+    const wireBytes = encodeBody(decoded, encoding).length;
+    const inspected = bodyInspector.inspectBody(decoded, contentType, {
+        bytes: wireBytes,
+        contentEncoding: encoding === 'identity' ? null : encoding
+    });
+
+    // Successes may be cached and revalidated; errors are never stored
+    const version = resourceVersion(url, Date.now());
+    const cacheHeaders = statusCode === 200 ? {
+        'Cache-Control': `max-age=${config.MOCK_CACHE.MAX_AGE}`,
+        'Last-Modified': version.lastModified,
+        // Weak: the representation is equivalent, not byte-identical, across one version
+        'ETag': `W/"${crypto.createHash('sha1').update([url, version.id, contentType, language, encoding].join(' ')).digest('hex').slice(0, 16)}"`
+    } : {
+        'Cache-Control': 'no-store'
+    };
+
     // Generate response headers
     const headers = {
         ...config.DEFAULT_HEADERS,
-        'Content-Length': JSON.stringify(body).length.toString(),
+        'Content-Type': contentType,
+        'Content-Language': language,
+        'Content-Length': wireBytes.toString(),
         'Date': new Date().toUTCString(),
         'Connection': 'keep-alive',
-        'Cache-Control': 'no-cache',
-        'ETag': generateETag(),
-        'X-Response-Time': Math.floor(Math.random() * 100) + 'ms'
+        ...cacheHeaders,
+        // Caches must key stored copies on the headers the representation was chosen by
+        'Vary': 'Accept, Accept-Language, Accept-Encoding',
+        'X-Response-Time': Math.floor(random() * 100) + 'ms'
     };
+    if (encoding !== 'identity') {
+        headers['Content-Encoding'] = encoding;
+    }
 
     // Generate cookies using the cookie handler
-    const cookies = useCookies ? cookieHandler.generateMockCookies(extractDomain(url)) : [];
+    const cookies = useCookies ? cookieHandler.generateMockCookies(extractDomain(url), random) : [];
     if (cookies.length > 0) {
         headers['Set-Cookie'] = cookies;
     }
 
+    // The client's copy is still current: answer with the metadata only
+    if (statusCode === 200 && (method === 'GET' || method === 'HEAD') && isNotModified(requestHeaders, headers)) {
+        const notModified = Object.fromEntries(Object.entries(headers).filter(([name]) =>
+            !['Content-Type', 'Content-Length', 'Content-Encoding'].includes(name)));
+        return {
+            statusCode: 304,
+            statusText: 'Not Modified',
+            headers: notModified,
+            body: null,
+            cached: true,
+            cookies
+        };
+    }
+
     return {
         statusCode,
         statusText,
         headers,
-        body,
+        body: inspected.body,
+        bodyInfo: inspected.bodyInfo,
         cached: false,
         cookies
     };
 };
 
+/**
+ * Current version of a mock resource. Each URL changes every CHANGE_INTERVAL seconds,
+ * offset by its own hash so resources do not all change at once
+ * @returns {object} { id, lastModified } with lastModified as an HTTP date
+ */
+function resourceVersion(url, now) {
+    const interval = config.MOCK_CACHE.CHANGE_INTERVAL * 1000;
+    const offset = crypto.createHash('sha1').update(url).digest().readUInt32BE(0) % interval;
+    const id = Math.floor((now + offset) / interval);
+    return { id, lastModified: new Date(id * interval - offset).toUTCString() };
+}
+
+/**
+ * Conditional GET (RFC 9110 §13.2.2): If-None-Match compares entity tags weakly and,
+ * when present, makes If-Modified-Since irrelevant
+ */
+function isNotModified(requestHeaders, headers) {
+    const ifNoneMatch = findHeader(requestHeaders, 'If-None-Match');
+    if (ifNoneMatch) {
+        const opaque = tag => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(headers['ETag']));
+    }
+
+    const ifModifiedSince = Date.parse(findHeader(requestHeaders, 'If-Modified-Since'));
+    return !Number.isNaN(ifModifiedSince) && Date.parse(headers['Last-Modified']) <= ifModifiedSince;
+}
+
+/**
+ * Request header value by case-insensitive name from [name, value] pairs
+ */
+function findHeader(headers, name) {
+    const match = headers.find(([key]) => key.toLowerCase() === name.toLowerCase());
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Render the mock body as the negotiated media type
+ */
+function serializeRepresentation(body, mediaType, language) {
+    switch (mediaType) {
+        case 'text/html':
+            return [
+                '<!DOCTYPE html>',
+                `<html lang="${language}">`,
+                `<head><meta charset="UTF-8"><title>${escapeMarkup(body.message || body.error || '')}</title></head>`,
+                '<body>',
+                `<h1>${escapeMarkup(body.message || body.error || '')}</h1>`,
+                `<pre>${escapeMarkup(JSON.stringify(body, null, 2))}</pre>`,
+                '</body>',
+                '</html>'
+            ].join('\n');
+        case 'application/xml':
+            return `<?xml version="1.0" encoding="UTF-8"?>\n<response xml:lang="${language}">${toXml(body)}</response>`;
+        case 'text/plain':
+            return toText(body, '');
+        default:
+            return JSON.stringify(body);
+    }
+}
+
+/**
+ * Nested elements for objects, repeated <item> elements for arrays. Keys that are not
+ * XML names (echoed headers, query and body fields can be anything) become <field name="...">
+ */
+function toXml(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => `<item>${toXml(item)}</item>`).join('');
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).map(([key, item]) => XML_NAME_PATTERN.test(key) && !/^xml/i.test(key)
+            ? `<${key}>${toXml(item)}</${key}>`
+            : `<field name="${escapeMarkup(key)}">${toXml(item)}</field>`).join('');
+    }
+    return escapeMarkup(value === null || value === undefined ? '' : String(value));
+}
+
+/**
+ * Indented "key: value" lines
+ */
+function toText(value, indent) {
+    return Object.entries(value).map(([key, item]) => {
+        if (item !== null && typeof item === 'object') {
+            return `${indent}${key}:\n${toText(item, `${indent}  `)}`;
+        }
+        return `${indent}${key}: ${item}`;
+    }).join('\n');
+}
+
+/**
+ * Escape text for HTML and XML content
+ */
+function escapeMarkup(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Bytes as sent with the content coding applied
+ */
+function encodeBody(buffer, encoding) {
+    switch (encoding) {
+        case 'br':
+            return zlib.brotliCompressSync(buffer);
+        case 'gzip':
+            return zlib.gzipSync(buffer);
+        case 'deflate':
+            return zlib.deflateSync(buffer);
+        default:
+            return buffer;
+    }
+}
+
+/**
+ * Add a filler field so the serialized body is about targetSize bytes
+ */
+function padBody(body, targetSize) {
+    const overhead = JSON.stringify({ ...body, payload: '' }).length;
+    if (targetSize <= overhead) return;
+
+    const filler = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. ';
+    body.payload = filler.repeat(Math.ceil((targetSize - overhead) / filler.length)).slice(0, targetSize - overhead);
+}
+
 /**
  * Extract domain from URL
  */
@@ -84,29 +323,29 @@ function extractDomain(url) {
 }
 
 /**
- * Generate mock data based on method and URL
+ * Generate mock data based on method and URL, with messages in the negotiated language
  */
-function generateMockData(method, url) {
+function generateMockData(method, url, random, messages = MESSAGES.en) {
     const timestamp = new Date().toISOString();
     
     switch (method) {
         case 'GET':
             return {
-                message: 'Data retrieved successfully',
+                message: messages.GET,
                 data: {
-                    id: Math.floor(Math.random() * 1000),
+                    id: Math.floor(random() * 1000),
                     url: url,
                     timestamp: timestamp,
-                    items: generateItems(5)
+                    items: generateItems(5, random)
                 },
                 method: 'GET'
             };
         
         case 'POST':
             return {
-                message: 'Resource created successfully',
+                message: messages.POST,
                 data: {
-                    id: Math.floor(Math.random() * 1000),
+                    id: Math.floor(random() * 1000),
                     created: timestamp,
                     url: url
                 },
@@ -115,9 +354,9 @@ function generateMockData(method, url) {
         
         case 'PUT':
             return {
-                message: 'Resource updated successfully',
+                message: messages.PUT,
                 data: {
-                    id: Math.floor(Math.random() * 1000),
+                    id: Math.floor(random() * 1000),
                     updated: timestamp,
                     url: url
                 },
@@ -126,9 +365,9 @@ function generateMockData(method, url) {
         
         case 'DELETE':
             return {
-                message: 'Resource deleted successfully',
+                message: messages.DELETE,
                 data: {
-                    id: Math.floor(Math.random() * 1000),
+                    id: Math.floor(random() * 1000),
                     deleted: timestamp
                 },
                 method: 'DELETE'
@@ -136,7 +375,7 @@ function generateMockData(method, url) {
         
         default:
             return {
-                message: 'Request processed',
+                message: messages.default,
                 timestamp: timestamp
             };
     }
@@ -145,21 +384,14 @@ function generateMockData(method, url) {
 /**
  * Generate random items for GET responses
  */
-function generateItems(count) {
+function generateItems(count, random) {
     const items = [];
     for (let i = 0; i < count; i++) {
         items.push({
             id: i + 1,
             name: `Item ${i + 1}`,
-            value: Math.floor(Math.random() * 100)
+            value: Math.floor(random() * 100)
         });
     }
     return items;
-}
-
-/**
- * Generate ETag
- */
-function generateETag() {
-    return `"${Math.random().toString(36).substring(2, 15)}"`;
 }
\ No newline at end of file
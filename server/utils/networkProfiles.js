@@ -0,0 +1,154 @@
+/**
+ * Network Profiles
+ * Named link conditions (bandwidth, RTT, jitter) and the timeline model they produce
+ */
+
+const net = require('net');
+
+// Bandwidth in kilobits per second, RTT and jitter in milliseconds
+const PROFILES = {
+    '3g': { name: '3G', downlinkKbps: 1600, uplinkKbps: 768, rtt: 300, jitter: 50 },
+    '4g': { name: '4G', downlinkKbps: 9000, uplinkKbps: 9000, rtt: 170, jitter: 20 },
+    'cable': { name: 'Cable', downlinkKbps: 50000, uplinkKbps: 10000, rtt: 20, jitter: 5 },
+    'satellite': { name: 'Satellite', downlinkKbps: 25000, uplinkKbps: 3000, rtt: 600, jitter: 50 }
+};
+
+const CUSTOM_LIMITS = {
+    downlinkKbps: [1, 10000000],
+    uplinkKbps: [1, 10000000],
+    rtt: [0, 10000],
+    jitter: [0, 5000]
+};
+
+/**
+ * Resolve the profile named in a simulation request
+ * @param {string} id - Profile id, "custom" or "none"
+ * @param {object} custom - { downlinkKbps, uplinkKbps, rtt, jitter } for custom profiles
+ * @returns {object} { valid, profile } or { valid: false, error }; profile is null for "none"
+ */
+function resolveProfile(id, custom) {
+    if (!id || id === 'none') {
+        return { valid: true, profile: null };
+    }
+
+    if (PROFILES[id]) {
+        return { valid: true, profile: { id, ...PROFILES[id] } };
+    }
+
+    if (id !== 'custom') {
+        return { valid: false, error: `Unknown network profile "${id}"` };
+    }
+
+    const profile = { id: 'custom', name: 'Custom' };
+    for (const [field, [min, max]] of Object.entries(CUSTOM_LIMITS)) {
+        const value = Number(custom && custom[field]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            return { valid: false, error: `Custom profile ${field} must be a number between ${min} and ${max}` };
+        }
+        profile[field] = value;
+    }
+
+    return { valid: true, profile };
+}
+
+/**
+ * One round trip, varied by up to ±jitter
+ */
+function sampleRtt(profile, random = Math.random) {
+    return Math.max(0, profile.rtt + (random() * 2 - 1) * profile.jitter);
+}
+
+/**
+ * Time to push bytes through a link (kbps is bits per millisecond)
+ */
+function transmitTime(bytes, kbps) {
+    return (bytes * 8) / kbps;
+}
+
+/**
+ * Re-cost every stage of a timeline for the profile's link
+ * @param {Array} timeline - [{ stage, duration }] as built for the request
+ * @param {object} profile - From resolveProfile()
+ * @param {object} exchange - { url, requestBytes, secure, reused, tlsVersion, measuredRtt }; measuredRtt
+ *                            is set for real requests, whose measured durations already hold a round trip
+ * @param {Function} random - Jitter source, seeded for reproducible runs
+ * @returns {Array} New timeline; durations rounded to 0.1 ms
+ */
+function shapeTimeline(timeline, profile, exchange, random = Math.random) {
+    const handshake = !exchange.reused;
+    const lookup = handshake && !isIpLiteral(exchange.url);
+    // TLS 1.3 completes in one round trip, TLS 1.2 needs two
+    const tlsRoundTrips = exchange.tlsVersion === 'TLSv1.2' ? 2 : 1;
+
+    return timeline.map(({ stage, duration }) => {
+        let shaped;
+
+        switch (stage) {
+            case 'DNS Lookup':
+                shaped = lookup ? sampleRtt(profile, random) : 0;
+                break;
+            case 'TCP Connection':
+                shaped = handshake ? sampleRtt(profile, random) : 0;
+                break;
+            case 'TLS Handshake':
+                shaped = handshake && exchange.secure
+                    ? Array.from({ length: tlsRoundTrips }, () => sampleRtt(profile, random)).reduce((sum, rtt) => sum + rtt, 0)
+                    : 0;
+                break;
+            case 'Request Sent':
+            case 'Request Sent (no credentials)':
+                shaped = transmitTime(exchange.requestBytes, profile.uplinkKbps);
+                break;
+            case 'Content Download':
+                // Re-costed from the response size by the congestion window model (tcpModel)
+                shaped = duration;
+                break;
+            case 'Waiting (TTFB)':
+                // The server's time plus a round trip; a measured TTFB gives up the real round trip first
+                shaped = Math.max(duration - (exchange.measuredRtt || 0), 0) + sampleRtt(profile, random);
+                break;
+            default:
+                // Redirects and auth challenges: measured ones are whole real exchanges and are kept;
+                // mock ones are the server's time plus a round trip
+                shaped = exchange.measuredRtt !== undefined && exchange.measuredRtt !== null
+                    ? duration
+                    : duration + sampleRtt(profile, random);
+        }
+
+        return { stage, duration: Math.round(shaped * 10) / 10 };
+    });
+}
+
+/**
+ * Hosts given as IP addresses need no DNS lookup
+ */
+function isIpLiteral(url) {
+    try {
+        return net.isIP(new URL(url).hostname.replace(/^\[|\]$/g, '')) !== 0;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Profile details returned with a simulation
+ */
+function describeProfile(profile) {
+    return {
+        id: profile.id,
+        name: profile.name,
+        downlinkKbps: profile.downlinkKbps,
+        uplinkKbps: profile.uplinkKbps,
+        rtt: profile.rtt,
+        jitter: profile.jitter
+    };
+}
+
+module.exports = {
+    PROFILES,
+    resolveProfile,
+    sampleRtt,
+    transmitTime,
+    shapeTimeline,
+    describeProfile
+};
\ No newline at end of file
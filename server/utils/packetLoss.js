@@ -0,0 +1,151 @@
+/**
+ * Packet Loss Model
+ * Drops individual packets and charges retransmission timeouts instead of failing whole requests
+ */
+
+const MSS = 1460; // TCP payload bytes per segment
+const MAX_RETRANSMISSIONS = 5; // Per packet, before the connection is given up
+const INITIAL_RTO = 1000; // ms before any RTT is known (RFC 6298), used for SYN and DNS
+const MIN_RTO = 200; // ms, Linux lower bound
+const DEFAULT_RTT = 100; // ms, when the timeline gives no usable estimate
+const TLS_FLIGHT_BYTES = 4500; // ServerHello, certificate chain and Finished
+const DUPLICATE_ACKS = 3; // Later segments needed to trigger a fast retransmit
+
+/**
+ * Packets each stage puts on the wire, and whether they are retried on the initial RTO
+ */
+function packetsForStage(stage, duration, exchange) {
+    switch (stage) {
+        case 'DNS Lookup':
+            return duration > 0 ? { count: 2, initial: true } : null;
+        case 'TCP Connection':
+            // SYN and SYN-ACK; the final ACK can ride on the first data segment
+            return duration > 0 ? { count: 2, initial: true } : null;
+        case 'TLS Handshake':
+            return duration > 0 ? { count: 2 + Math.ceil(TLS_FLIGHT_BYTES / MSS), initial: false } : null;
+        case 'Request Sent':
+        case 'Request Sent (no credentials)':
+            return { count: Math.max(1, Math.ceil(exchange.requestBytes / MSS)), initial: false };
+        default:
+            // Content Download losses are recovered inside the congestion window model (tcpModel)
+            return null;
+    }
+}
+
+/**
+ * Retransmission timeout after the first RTT sample: SRTT + 4 * RTTVAR with RTTVAR = RTT / 2
+ */
+function retransmissionTimeout(rtt) {
+    return Math.max(MIN_RTO, rtt * 3);
+}
+
+/**
+ * Send one packet, retrying until it gets through or the budget runs out.
+ * A first loss detected by duplicate ACKs costs one RTT (fast retransmit);
+ * every other loss waits for the timer, which doubles after each expiry.
+ * @returns {object} { attempts, waited, delivered }
+ */
+function sendPacket(lossRate, rto, fastRetransmitRtt, random) {
+    let waited = 0;
+    let timeout = rto;
+
+    for (let attempt = 0; attempt <= MAX_RETRANSMISSIONS; attempt++) {
+        if (random() >= lossRate) {
+            return { attempts: attempt, waited, delivered: true };
+        }
+
+        if (attempt === 0 && fastRetransmitRtt) {
+            waited += fastRetransmitRtt;
+        } else {
+            waited += timeout;
+            timeout *= 2;
+        }
+    }
+
+    return { attempts: MAX_RETRANSMISSIONS, waited, delivered: false };
+}
+
+/**
+ * Play the timeline's packets through a lossy link
+ * @param {Array} timeline - [{ stage, duration }]
+ * @param {number} lossPercent - Chance (0-100) that any single packet is dropped
+ * @param {object} exchange - { requestBytes, rtt }
+ * @param {Function} random - Loss rolls, seeded for reproducible runs
+ * @returns {object} { timeline, report } with a retransmission stage after each affected stage
+ */
+function applyPacketLoss(timeline, lossPercent, exchange, random = Math.random) {
+    const lossRate = Math.min(Math.max(lossPercent, 0), 100) / 100;
+    const rtt = exchange.rtt > 0 ? exchange.rtt : DEFAULT_RTT;
+    const report = {
+        lossPercent: lossPercent,
+        maxRetransmissions: MAX_RETRANSMISSIONS,
+        packetsSent: 0,
+        packetsLost: 0,
+        retransmissionTime: 0,
+        events: [],
+        failed: false,
+        failedStage: null
+    };
+    const shaped = [];
+
+    for (const entry of timeline) {
+        shaped.push(entry);
+
+        const packets = packetsForStage(entry.stage, entry.duration, exchange);
+        if (!packets) continue;
+
+        const rto = packets.initial ? INITIAL_RTO : retransmissionTimeout(rtt);
+        let retransmissions = 0;
+        let waited = 0;
+
+        for (let packet = 1; packet <= packets.count; packet++) {
+            // Only segments followed by enough others produce duplicate ACKs
+            const fastRetransmit = !packets.initial && packets.count - packet >= DUPLICATE_ACKS;
+            const result = sendPacket(lossRate, rto, fastRetransmit ? rtt : 0, random);
+            report.packetsSent += 1 + result.attempts;
+            report.packetsLost += result.delivered ? result.attempts : result.attempts + 1;
+            retransmissions += result.attempts;
+            waited += result.waited;
+
+            if (result.attempts > 0) {
+                report.events.push({
+                    stage: entry.stage,
+                    packet: packet,
+                    of: packets.count,
+                    retransmissions: result.attempts,
+                    recovery: fastRetransmit ? 'fast retransmit' : 'timeout',
+                    waited: result.waited,
+                    delivered: result.delivered
+                });
+            }
+
+            if (!result.delivered) {
+                report.failed = true;
+                report.failedStage = entry.stage;
+                break;
+            }
+        }
+
+        if (retransmissions > 0) {
+            shaped.push({
+                stage: `Retransmission (${entry.stage}) ×${retransmissions}`,
+                duration: Math.round(waited * 10) / 10,
+                retransmission: true
+            });
+            report.retransmissionTime += waited;
+        }
+
+        if (report.failed) break;
+    }
+
+    report.retransmissionTime = Math.round(report.retransmissionTime * 10) / 10;
+    return { timeline: shaped, report };
+}
+
+module.exports = {
+    MSS,
+    MAX_RETRANSMISSIONS,
+    INITIAL_RTO,
+    retransmissionTimeout,
+    applyPacketLoss
+};
\ No newline at end of file
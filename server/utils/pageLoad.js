@@ -0,0 +1,384 @@
+/**
+ * Page Load Model
+ * Finds an HTML document's subresources and plays the page load out as a DevTools-style waterfall
+ */
+
+const net = require('net');
+
+const MAX_CONNECTIONS_PER_HOST = 6; // What HTTP/1.1 browsers allow
+const MAX_RESOURCES = 150;
+
+// Bytes assumed for subresources whose size is unknown (real pages are not crawled)
+const TYPICAL_SIZES = { stylesheet: 30000, script: 80000, image: 60000, font: 40000 };
+
+// Lower ranks win when several requests wait for the same connection
+const PRIORITY_RANKS = { Highest: 0, High: 1, Medium: 2, Low: 3, Lowest: 4 };
+
+const TAG_PATTERN = /<(script|link|img|style|body)\b([^>]*)>/gi;
+const ATTRIBUTE_PATTERN = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const FONT_FACE_PATTERN = /@font-face\s*{[^}]*}/gi;
+const CSS_URL_PATTERN = /url\(\s*['"]?([^'")]+)['"]?\s*\)/gi;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, bare] of source.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare ?? true;
+    }
+    return attributes;
+}
+
+/**
+ * Absolute http(s) URL without fragment, or null for data: URIs and the like
+ */
+function resolveUrl(value, baseUrl) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    try {
+        const url = new URL(value.trim(), baseUrl);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        url.hash = '';
+        return url.href;
+    } catch (e) {
+        return null;
+    }
+}
+
+function appliesToScreen(media) {
+    return typeof media !== 'string' || /^\s*(all|screen)?\s*$/i.test(media);
+}
+
+/**
+ * Fetch priority the way browsers assign it
+ */
+function priorityOf(resource) {
+    switch (resource.type) {
+        case 'stylesheet':
+            return resource.renderBlocking ? 'Highest' : 'Lowest';
+        case 'font':
+            return 'High';
+        case 'script':
+            return resource.parserBlocking ? 'High' : 'Low';
+        default:
+            return 'Low';
+    }
+}
+
+/**
+ * Subresources in document order
+ * @param {string} html - Document markup
+ * @param {string} baseUrl - URL the document was loaded from
+ * @returns {Array} [{ url, type, offset, inHead, parserBlocking, renderBlocking, async, defer, lazy, discoveredBy }]
+ */
+function extractResources(html, baseUrl) {
+    // Blank out comments but keep offsets, which stand in for when the parser gets there
+    const source = html.replace(/<!--[\s\S]*?-->/g, comment => ' '.repeat(comment.length));
+    const resources = new Map();
+    let inHead = true;
+
+    const add = (resource) => {
+        const existing = resources.get(resource.url);
+        if (existing) {
+            // A preloaded resource keeps its early discovery but takes on the real tag's role
+            existing.parserBlocking = existing.parserBlocking || resource.parserBlocking;
+            existing.renderBlocking = existing.renderBlocking || resource.renderBlocking;
+            return;
+        }
+        if (resources.size < MAX_RESOURCES) {
+            resources.set(resource.url, resource);
+        }
+    };
+
+    const base = {
+        parserBlocking: false,
+        renderBlocking: false,
+        async: false,
+        defer: false,
+        lazy: false
+    };
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const tag = match[1].toLowerCase();
+        const attributes = parseAttributes(match[2]);
+        const offset = match.index;
+
+        if (tag === 'body') {
+            inHead = false;
+            continue;
+        }
+
+        if (tag === 'script' && attributes.src) {
+            const url = resolveUrl(attributes.src, baseUrl);
+            if (!url) continue;
+            const isModule = String(attributes.type || '').toLowerCase() === 'module';
+            const async = attributes.async !== undefined;
+            const defer = attributes.defer !== undefined || (isModule && !async);
+            const parserBlocking = !async && !defer;
+            add({ ...base, url, type: 'script', offset, inHead, async, defer, parserBlocking, renderBlocking: parserBlocking && inHead, discoveredBy: 'parser' });
+        } else if (tag === 'link' && attributes.href) {
+            const url = resolveUrl(attributes.href, baseUrl);
+            const rel = String(attributes.rel || '').toLowerCase().split(/\s+/);
+            if (!url) continue;
+
+            if (rel.includes('stylesheet') && attributes.disabled === undefined) {
+                add({ ...base, url, type: 'stylesheet', offset, inHead, renderBlocking: inHead && appliesToScreen(attributes.media), discoveredBy: 'parser' });
+            } else if (rel.includes('preload')) {
+                const type = { style: 'stylesheet', script: 'script', image: 'image', font: 'font' }[String(attributes.as).toLowerCase()];
+                if (type) {
+                    add({ ...base, url, type, offset, inHead, discoveredBy: 'preload' });
+                }
+            }
+        } else if (tag === 'img' && attributes.src) {
+            const url = resolveUrl(attributes.src, baseUrl);
+            if (!url) continue;
+            add({ ...base, url, type: 'image', offset, inHead, lazy: String(attributes.loading).toLowerCase() === 'lazy', discoveredBy: 'parser' });
+        } else if (tag === 'style') {
+            const end = source.indexOf('</style', offset);
+            const css = source.slice(offset + match[0].length, end === -1 ? source.length : end);
+            fontsInStylesheet(css, baseUrl).forEach(url => {
+                add({ ...base, url, type: 'font', offset, inHead, discoveredBy: 'inline style' });
+            });
+        }
+    }
+
+    return [...resources.values()].map(resource => ({ ...resource, priority: priorityOf(resource) }));
+}
+
+/**
+ * Font URLs declared by @font-face rules
+ */
+function fontsInStylesheet(css, baseUrl) {
+    const fonts = [];
+    for (const [rule] of css.matchAll(FONT_FACE_PATTERN)) {
+        for (const [, value] of rule.matchAll(CSS_URL_PATTERN)) {
+            const url = resolveUrl(value, baseUrl);
+            if (url) fonts.push(url);
+        }
+    }
+    return fonts;
+}
+
+/**
+ * Per-host connection pools, shared by every request of the page
+ */
+function createPools(link) {
+    const hosts = new Map();
+    let nextConnectionId = 1;
+
+    const hostState = (host) => {
+        if (!hosts.has(host)) {
+            hosts.set(host, { dnsDoneAt: null, connections: [] });
+        }
+        return hosts.get(host);
+    };
+
+    return {
+        hostState,
+        connectionCount: () => nextConnectionId - 1,
+
+        // Earliest moment a request for this host could get a connection
+        availableAt(host, readyAt) {
+            const state = hostState(host);
+            if (state.connections.length < link.maxConnectionsPerHost) return readyAt;
+            return Math.max(readyAt, Math.min(...state.connections.map(connection => connection.busyUntil)));
+        },
+
+        // Take an idle connection, open a new one, or wait for the first to free up
+        acquire(url, readyAt) {
+            const { host, hostname, protocol } = new URL(url);
+            const state = hostState(host);
+            const idle = state.connections
+                .filter(connection => connection.busyUntil <= readyAt)
+                .sort((a, b) => a.busyUntil - b.busyUntil)[0];
+
+            if (idle) {
+                return { connection: idle, start: readyAt, dns: 0, connect: 0, tls: 0, isNew: false };
+            }
+
+            if (state.connections.length < link.maxConnectionsPerHost) {
+                const connection = { id: nextConnectionId++, host, busyUntil: Infinity };
+                state.connections.push(connection);
+
+                // Only the first connection to a host looks it up; later ones wait for that answer
+                let dns = 0;
+                if (state.dnsDoneAt === null) {
+                    dns = net.isIP(hostname.replace(/^\[|\]$/g, '')) ? 0 : link.rtt;
+                    state.dnsDoneAt = readyAt + dns;
+                } else if (state.dnsDoneAt > readyAt) {
+                    dns = state.dnsDoneAt - readyAt;
+                }
+
+                return { connection, start: readyAt, dns, connect: link.rtt, tls: protocol === 'https:' ? link.rtt : 0, isNew: true };
+            }
+
+            const next = state.connections.reduce((first, connection) => connection.busyUntil < first.busyUntil ? connection : first);
+            return { connection: next, start: Math.max(readyAt, next.busyUntil), dns: 0, connect: 0, tls: 0, isNew: false };
+        }
+    };
+}
+
+/**
+ * Play out a page load
+ * @param {object} page - { url, html, documentSize, documentTiming (measured, optional), serverTime,
+ *                          resources: Map(url -> { size, fonts }) for known subresources }
+ * @param {object} link - { rtt, bandwidthKbps, maxConnectionsPerHost }
+ * @param {Function} random - Server think time for subresources, seeded for reproducible runs
+ * @returns {object} { entries, milestones, summary }
+ */
+function simulatePageLoad(page, link, random = Math.random) {
+    const pools = createPools(link);
+    const known = page.resources || new Map();
+    const entries = [];
+    const downloads = [];
+
+    // Downloads in progress split the link evenly
+    const downloadTime = (bytes, from) => {
+        const active = downloads.filter(download => download.start <= from && download.end > from).length;
+        return (bytes * 8) / (link.bandwidthKbps / (active + 1));
+    };
+
+    // Measured phases (the real document) replace the modelled ones
+    const record = (resource, readyAt, waiting, size, sizeEstimated, measured = null) => {
+        const slot = pools.acquire(resource.url, readyAt);
+        if (measured) {
+            Object.assign(slot, { dns: measured.dns, connect: measured.tcp, tls: measured.tls });
+            pools.hostState(new URL(resource.url).host).dnsDoneAt = measured.dns;
+        }
+        const requestStart = slot.start + slot.dns + slot.connect + slot.tls;
+        const responseStart = requestStart + waiting;
+        const download = measured ? measured.download : downloadTime(size, responseStart);
+        const end = responseStart + download;
+
+        slot.connection.busyUntil = end;
+        downloads.push({ start: responseStart, end });
+
+        const entry = {
+            id: entries.length + 1,
+            url: resource.url,
+            host: new URL(resource.url).host,
+            type: resource.type,
+            priority: resource.priority,
+            initiator: resource.initiator,
+            discoveredAt: round(resource.discoveredAt),
+            start: round(slot.start),
+            timing: {
+                queued: round(slot.start - resource.discoveredAt),
+                dns: round(slot.dns),
+                connect: round(slot.connect),
+                tls: round(slot.tls),
+                waiting: round(waiting),
+                download: round(download)
+            },
+            end: round(end),
+            size,
+            sizeEstimated,
+            connectionId: slot.connection.id,
+            newConnection: slot.isNew,
+            parserBlocking: resource.parserBlocking,
+            renderBlocking: resource.renderBlocking,
+            async: resource.async,
+            defer: resource.defer
+        };
+        entries.push(entry);
+        return entry;
+    };
+
+    // The document itself, measured for real pages or modelled like any other request
+    const documentResource = { url: page.url, type: 'document', priority: 'Highest', initiator: 'navigation', discoveredAt: 0, parserBlocking: false, renderBlocking: true, async: false, defer: false };
+    const timing = page.documentTiming;
+    const documentEntry = timing
+        ? record(documentResource, 0, timing.request + timing.waiting, page.documentSize, false, timing)
+        : record(documentResource, 0, link.rtt + page.serverTime, page.documentSize, false);
+
+    const documentEnd = documentEntry.end;
+    const documentResponseStart = documentEnd - documentEntry.timing.download;
+    const htmlLength = Math.max(page.html.length, 1);
+
+    // The preload scanner sees each tag as its bytes arrive; lazy images wait for the first render
+    const resources = extractResources(page.html, page.url);
+    const seen = new Set([page.url, ...resources.map(resource => resource.url)]);
+    const pending = [];
+    const lazy = [];
+
+    resources.forEach((resource, order) => {
+        const discoveredAt = resource.discoveredBy === 'inline style'
+            ? documentEnd
+            : documentResponseStart + (resource.offset / htmlLength) * documentEntry.timing.download;
+        const entry = { ...resource, order, initiator: resource.discoveredBy, discoveredAt };
+        (resource.lazy ? lazy : pending).push(entry);
+    });
+
+    const renderBlocking = pending.filter(resource => resource.renderBlocking);
+    let startRender = renderBlocking.length === 0 ? documentEnd : null;
+    let order = resources.length;
+
+    const releaseLazy = () => {
+        lazy.forEach(resource => pending.push({ ...resource, initiator: 'lazy (after first render)', discoveredAt: startRender }));
+        lazy.length = 0;
+    };
+    if (startRender !== null) releaseLazy();
+
+    while (pending.length > 0) {
+        // Whatever can start first goes next; ties go to the higher priority, then document order
+        const candidates = pending.map(resource => ({
+            resource,
+            readyAt: pools.availableAt(new URL(resource.url).host, resource.discoveredAt)
+        }));
+        candidates.sort((a, b) => (a.readyAt - b.readyAt)
+            || (PRIORITY_RANKS[a.resource.priority] - PRIORITY_RANKS[b.resource.priority])
+            || (a.resource.order - b.resource.order));
+        const { resource } = candidates[0];
+        pending.splice(pending.indexOf(resource), 1);
+
+        const meta = known.get(resource.url);
+        const size = meta ? meta.size : TYPICAL_SIZES[resource.type];
+        const entry = record(resource, resource.discoveredAt, link.rtt + 10 + random() * 40, size, !meta);
+
+        // Fonts are only requested once the stylesheet that declares them has arrived
+        if (resource.type === 'stylesheet' && meta && meta.fonts) {
+            meta.fonts.filter(url => !seen.has(url)).forEach(url => {
+                seen.add(url);
+                const font = { ...resource, url, type: 'font', order: order++, initiator: resource.url, discoveredAt: entry.end, parserBlocking: false, renderBlocking: false, async: false, defer: false };
+                pending.push({ ...font, priority: priorityOf(font) });
+            });
+        }
+
+        if (startRender === null && renderBlocking.every(blocking => entries.some(done => done.url === blocking.url))) {
+            startRender = Math.max(documentEnd, ...entries.filter(done => done.renderBlocking).map(done => done.end));
+            releaseLazy();
+        }
+    }
+
+    // Classic scripts run in order once the stylesheets before them are in; deferred ones before DOMContentLoaded
+    const firstBlockingScript = resources.find(resource => resource.parserBlocking);
+    const blockingForDcl = entries.filter(entry => entry.parserBlocking || entry.defer
+        || (entry.type === 'stylesheet' && entry.renderBlocking && firstBlockingScript
+            && resources.find(resource => resource.url === entry.url).offset < firstBlockingScript.offset));
+    const domContentLoaded = Math.max(documentEnd, ...blockingForDcl.map(entry => entry.end));
+    const load = Math.max(domContentLoaded, ...entries.map(entry => entry.end));
+
+    return {
+        entries,
+        milestones: {
+            firstRender: round(Math.max(startRender, documentEnd)),
+            domContentLoaded: round(domContentLoaded),
+            load: round(load)
+        },
+        summary: {
+            requests: entries.length,
+            hosts: new Set(entries.map(entry => entry.host)).size,
+            connections: pools.connectionCount(),
+            totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            estimatedSizes: entries.filter(entry => entry.sizeEstimated).length,
+            renderBlocking: entries.filter(entry => entry.renderBlocking && entry.type !== 'document').length,
+            queuedTime: round(entries.reduce((sum, entry) => sum + entry.timing.queued, 0))
+        }
+    };
+}
+
+module.exports = {
+    MAX_CONNECTIONS_PER_HOST,
+    extractResources,
+    simulatePageLoad
+};
\ No newline at end of file
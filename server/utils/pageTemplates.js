@@ -0,0 +1,131 @@
+/**
+ * Page Templates
+ * Mock HTML documents for the page-load waterfall, with the sizes of their subresources
+ */
+
+// Resource URLs are resolved against the page URL; sizes are bytes on the wire,
+// and stylesheets list the fonts they declare with @font-face
+const TEMPLATES = {
+    blog: {
+        name: 'Blog article',
+        serverTime: 120,
+        html: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Understanding HTTP Caching</title>
+    <link rel="stylesheet" href="/css/main.css">
+    <link rel="stylesheet" href="/css/print.css" media="print">
+    <script src="/js/analytics.js" async></script>
+    <script src="/js/theme.js"></script>
+</head>
+<body>
+    <header>
+        <img src="/images/logo.svg" alt="Logo">
+    </header>
+    <article>
+        <h1>Understanding HTTP Caching</h1>
+        <img src="https://cdn.example-static.com/images/hero.jpg" alt="Hero image">
+        <p>Caches keep copies of responses so that later requests can be served without the origin.</p>
+        <img src="https://cdn.example-static.com/images/diagram.png" alt="Cache diagram">
+        <p>Freshness is decided by Cache-Control and Expires; stale entries are revalidated.</p>
+        <img src="https://cdn.example-static.com/images/footer-banner.jpg" alt="Banner" loading="lazy">
+    </article>
+    <script src="/js/comments.js" defer></script>
+    <script src="https://cdn.example-static.com/js/highlight.js"></script>
+</body>
+</html>`,
+        resources: {
+            '/css/main.css': { size: 28000, fonts: ['https://fonts.example-cdn.net/inter-regular.woff2', 'https://fonts.example-cdn.net/inter-bold.woff2'] },
+            '/css/print.css': { size: 4000 },
+            '/js/analytics.js': { size: 45000 },
+            '/js/theme.js': { size: 6000 },
+            '/images/logo.svg': { size: 3500 },
+            'https://cdn.example-static.com/images/hero.jpg': { size: 180000 },
+            'https://cdn.example-static.com/images/diagram.png': { size: 95000 },
+            'https://cdn.example-static.com/images/footer-banner.jpg': { size: 120000 },
+            '/js/comments.js': { size: 70000 },
+            'https://cdn.example-static.com/js/highlight.js': { size: 110000 },
+            'https://fonts.example-cdn.net/inter-regular.woff2': { size: 42000 },
+            'https://fonts.example-cdn.net/inter-bold.woff2': { size: 44000 }
+        }
+    },
+    shop: {
+        name: 'Product listing',
+        serverTime: 250,
+        html: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Shop - Headphones</title>
+    <link rel="preload" href="https://static.example-shop.com/fonts/brand.woff2" as="font" crossorigin>
+    <link rel="stylesheet" href="https://static.example-shop.com/css/vendor.css">
+    <link rel="stylesheet" href="/css/shop.css">
+    <script src="https://static.example-shop.com/js/vendor.js"></script>
+    <script src="/js/shop.js" defer></script>
+    <script src="https://tags.example-ads.com/tag.js" async></script>
+</head>
+<body>
+    <img src="https://img.example-shop.com/p/1.jpg" alt="Product 1">
+    <img src="https://img.example-shop.com/p/2.jpg" alt="Product 2">
+    <img src="https://img.example-shop.com/p/3.jpg" alt="Product 3">
+    <img src="https://img.example-shop.com/p/4.jpg" alt="Product 4">
+    <img src="https://img.example-shop.com/p/5.jpg" alt="Product 5">
+    <img src="https://img.example-shop.com/p/6.jpg" alt="Product 6">
+    <img src="https://img.example-shop.com/p/7.jpg" alt="Product 7">
+    <img src="https://img.example-shop.com/p/8.jpg" alt="Product 8">
+    <img src="https://img.example-shop.com/p/9.jpg" alt="Product 9" loading="lazy">
+    <img src="https://img.example-shop.com/p/10.jpg" alt="Product 10" loading="lazy">
+    <script src="/js/recommendations.js" async></script>
+</body>
+</html>`,
+        resources: {
+            'https://static.example-shop.com/fonts/brand.woff2': { size: 36000 },
+            'https://static.example-shop.com/css/vendor.css': { size: 65000, fonts: ['https://static.example-shop.com/fonts/brand.woff2', 'https://static.example-shop.com/fonts/icons.woff2'] },
+            '/css/shop.css': { size: 22000 },
+            'https://static.example-shop.com/js/vendor.js': { size: 240000 },
+            '/js/shop.js': { size: 85000 },
+            'https://tags.example-ads.com/tag.js': { size: 60000 },
+            'https://img.example-shop.com/p/1.jpg': { size: 48000 },
+            'https://img.example-shop.com/p/2.jpg': { size: 52000 },
+            'https://img.example-shop.com/p/3.jpg': { size: 45000 },
+            'https://img.example-shop.com/p/4.jpg': { size: 50000 },
+            'https://img.example-shop.com/p/5.jpg': { size: 47000 },
+            'https://img.example-shop.com/p/6.jpg': { size: 51000 },
+            'https://img.example-shop.com/p/7.jpg': { size: 49000 },
+            'https://img.example-shop.com/p/8.jpg': { size: 46000 },
+            'https://img.example-shop.com/p/9.jpg': { size: 53000 },
+            'https://img.example-shop.com/p/10.jpg': { size: 44000 },
+            '/js/recommendations.js': { size: 38000 },
+            'https://static.example-shop.com/fonts/icons.woff2': { size: 28000 }
+        }
+    }
+};
+
+/**
+ * Template with its resource table resolved against the page URL
+ * @returns {object|null} { id, name, serverTime, html, resources: Map(url -> { size, fonts }) }
+ */
+function getTemplate(id, pageUrl) {
+    const template = TEMPLATES[id];
+    if (!template) return null;
+
+    const resources = new Map(Object.entries(template.resources).map(([url, meta]) => [
+        new URL(url, pageUrl).href,
+        { size: meta.size, fonts: (meta.fonts || []).map(font => new URL(font, pageUrl).href) }
+    ]));
+
+    return { id, name: template.name, serverTime: template.serverTime, html: template.html, resources };
+}
+
+/**
+ * Template ids and names for the client
+ */
+function listTemplates() {
+    return Object.entries(TEMPLATES).map(([id, template]) => ({ id, name: template.name }));
+}
+
+module.exports = {
+    getTemplate,
+    listTemplates
+};
\ No newline at end of file
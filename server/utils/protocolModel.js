@@ -0,0 +1,258 @@
+/**
+ * Protocol Model
+ * HTTP/1.1, HTTP/2 and HTTP/3 (QUIC) fetching the same responses over the same lossy link
+ */
+
+const packetLoss = require('./packetLoss');
+const tcpModel = require('./tcpModel');
+
+const RESPONSE_BYTES = 16 * 1024; // Per request
+const MAX_STREAMS = 100;
+const PACKET_THRESHOLD = 3; // Later packets that reveal a loss (TCP duplicate ACKs, QUIC RFC 9002)
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * How many times one packet is lost before it gets through (more than
+ * MAX_RETRANSMISSIONS means it never does)
+ */
+function rollLosses(lossRate, random) {
+    let lost = 0;
+    while (lost <= packetLoss.MAX_RETRANSMISSIONS && random() < lossRate) {
+        lost++;
+    }
+    return lost;
+}
+
+/**
+ * Decide every loss up front so all protocols see exactly the same link
+ */
+function planLosses(streamCount, packetsPerStream, lossRate, random) {
+    return {
+        // One flight per handshake round trip: TCP (or QUIC Initial), then TLS
+        handshake: [rollLosses(lossRate, random), rollLosses(lossRate, random)],
+        streams: Array.from({ length: streamCount }, () =>
+            Array.from({ length: packetsPerStream }, () => rollLosses(lossRate, random)))
+    };
+}
+
+/**
+ * Time to recover a packet lost `lost` times: the first loss costs one RTT when
+ * enough later packets reveal it, every other loss waits for a doubling timer
+ */
+function recoveryTime(lost, followers, rtt) {
+    let time = 0;
+    let timeout = packetLoss.retransmissionTimeout(rtt);
+
+    for (let attempt = 0; attempt < lost; attempt++) {
+        if (attempt === 0 && followers >= PACKET_THRESHOLD) {
+            time += rtt;
+        } else {
+            time += timeout;
+            timeout *= 2;
+        }
+    }
+    return time;
+}
+
+/**
+ * Handshake round trips; a lost flight waits for the initial timeout
+ */
+function handshake(roundTrips, rolls, rtt) {
+    let time = 0;
+
+    for (let trip = 0; trip < roundTrips; trip++) {
+        for (let attempt = 0; attempt < rolls[trip]; attempt++) {
+            time += packetLoss.INITIAL_RTO * Math.pow(2, attempt);
+        }
+        if (rolls[trip] > packetLoss.MAX_RETRANSMISSIONS) {
+            return { time: round(time), failed: true };
+        }
+        time += rtt;
+    }
+
+    return { time: round(time), failed: false };
+}
+
+/**
+ * Send the responses of several streams over one connection, packets interleaved round-robin.
+ * With inOrder (TCP) a packet is only delivered once every earlier packet of the
+ * connection has arrived; without it (QUIC) only earlier packets of its own stream count.
+ */
+function sendResponses(streams, sentAt, link, plan, inOrder) {
+    const order = [];
+    for (let packet = 0; packet < link.packetsPerStream; packet++) {
+        streams.forEach(stream => order.push({ stream, packet }));
+    }
+
+    const firstByte = sentAt + link.rtt + link.serverDelay;
+    const results = new Map(streams.map(stream => [stream, { end: sentAt, ownEnd: sentAt, lostPackets: 0, error: null }]));
+    let connectionDelivered = 0;
+    let broken = false;
+
+    order.forEach(({ stream, packet }, position) => {
+        const result = results.get(stream);
+        const lost = plan.streams[stream][packet];
+
+        // A dead TCP connection takes every stream still on it down
+        if (broken) {
+            result.error = result.error || 'Connection reset after a packet was lost too often';
+            return;
+        }
+        if (result.error) return;
+
+        result.lostPackets += Math.min(lost, packetLoss.MAX_RETRANSMISSIONS + 1);
+        if (lost > packetLoss.MAX_RETRANSMISSIONS) {
+            result.error = `A packet was lost ${packetLoss.MAX_RETRANSMISSIONS + 1} times`;
+            broken = inOrder;
+            return;
+        }
+
+        const arrival = firstByte + (position + 1) * link.serialization + recoveryTime(lost, order.length - position - 1, link.rtt);
+        connectionDelivered = Math.max(connectionDelivered, arrival);
+        result.ownEnd = Math.max(result.ownEnd, arrival);
+        result.end = Math.max(result.end, inOrder ? connectionDelivered : arrival);
+    });
+
+    return results;
+}
+
+/**
+ * Shape one protocol's outcome for the response
+ */
+function describeRun(protocol, transport, setup, streams) {
+    const totalTime = Math.max(setup.time, ...streams.map(stream => stream.end));
+
+    return {
+        protocol,
+        transport,
+        handshake: setup,
+        requests: streams,
+        packetsLost: streams.reduce((sum, stream) => sum + stream.lostPackets, 0),
+        headOfLineBlocking: round(streams.reduce((sum, stream) => sum + stream.blockedTime, 0)),
+        totalTime: round(totalTime),
+        failed: setup.failed || streams.some(stream => stream.error)
+    };
+}
+
+function toStream(request, index, sentAt, result, link) {
+    return {
+        id: index + 1,
+        url: request.url,
+        method: request.method || 'GET',
+        start: round(sentAt),
+        end: round(result.end),
+        time: round(result.end - sentAt),
+        packets: link.packetsPerStream,
+        lostPackets: result.lostPackets,
+        // Time spent waiting for other streams' retransmissions
+        blockedTime: result.error ? 0 : round(result.end - result.ownEnd),
+        error: result.error
+    };
+}
+
+function failedStream(request, index, at, error) {
+    return {
+        id: index + 1,
+        url: request.url,
+        method: request.method || 'GET',
+        start: round(at),
+        end: round(at),
+        time: 0,
+        packets: 0,
+        lostPackets: 0,
+        blockedTime: 0,
+        error
+    };
+}
+
+/**
+ * HTTP/1.1: one keep-alive connection, one request at a time
+ */
+function simulateHTTP1(requests, link, plan) {
+    const setup = { roundTrips: 2, zeroRtt: false, ...handshake(2, plan.handshake, link.rtt) };
+    if (setup.failed) {
+        return describeRun('HTTP/1.1', 'TCP + TLS 1.3', setup,
+            requests.map((request, index) => failedStream(request, index, setup.time, 'Handshake failed')));
+    }
+
+    let sentAt = setup.time;
+    let reset = false;
+    const streams = requests.map((request, index) => {
+        if (reset) {
+            return failedStream(request, index, sentAt, 'Connection reset after a packet was lost too often');
+        }
+
+        const result = sendResponses([index], sentAt, link, plan, true).get(index);
+        const stream = toStream(request, index, sentAt, result, link);
+        reset = Boolean(result.error);
+        sentAt = result.end;
+        return stream;
+    });
+
+    return describeRun('HTTP/1.1', 'TCP + TLS 1.3', setup, streams);
+}
+
+/**
+ * HTTP/2 over TCP or HTTP/3 over QUIC: every request multiplexed at once
+ */
+function simulateMultiplexed(protocol, requests, link, plan, resumed) {
+    const quic = protocol === 'HTTP/3';
+    // QUIC combines the transport and TLS handshakes; a resumed QUIC session sends requests in the first flight
+    const roundTrips = quic ? 1 : 2;
+    const zeroRtt = quic && resumed;
+    const setup = { roundTrips: zeroRtt ? 0 : roundTrips, zeroRtt, ...handshake(roundTrips, plan.handshake, link.rtt) };
+    const transport = quic ? 'QUIC (TLS 1.3)' : 'TCP + TLS 1.3';
+
+    if (setup.failed) {
+        return describeRun(protocol, transport, setup,
+            requests.map((request, index) => failedStream(request, index, setup.time, 'Handshake failed')));
+    }
+
+    // 0-RTT data only waits for retransmissions of the first flight
+    const sentAt = zeroRtt ? setup.time - link.rtt : setup.time;
+    const indexes = requests.map((request, index) => index);
+    const results = sendResponses(indexes, sentAt, link, plan, !quic);
+    const streams = requests.map((request, index) => toStream(request, index, sentAt, results.get(index), link));
+
+    return describeRun(protocol, transport, setup, streams);
+}
+
+/**
+ * Fetch the same requests with each protocol over one shared link
+ * @param {Array} requests - [{ url, method }]
+ * @param {object} options - { serverDelay, rtt, bandwidthKbps, lossPercent, resumed }
+ * @param {Function} random - Loss rolls, seeded for reproducible runs
+ * @returns {object} { http1, http2, http3 }
+ */
+function compareProtocols(requests, options, random = Math.random) {
+    const lossRate = Math.min(Math.max(options.lossPercent || 0, 0), 100) / 100;
+    const bandwidthKbps = options.bandwidthKbps || tcpModel.DEFAULT_BANDWIDTH_KBPS;
+    const packetsPerStream = Math.ceil(RESPONSE_BYTES / packetLoss.MSS);
+    const link = {
+        rtt: options.rtt > 0 ? options.rtt : tcpModel.DEFAULT_RTT,
+        serverDelay: Math.max(options.serverDelay || 0, 0),
+        serialization: (packetLoss.MSS * 8) / bandwidthKbps,
+        packetsPerStream
+    };
+    const plan = planLosses(requests.length, packetsPerStream, lossRate, random);
+
+    return {
+        link: {
+            rtt: link.rtt,
+            bandwidthKbps,
+            lossPercent: options.lossPercent || 0,
+            responseBytes: RESPONSE_BYTES,
+            resumed: Boolean(options.resumed)
+        },
+        http1: simulateHTTP1(requests, link, plan),
+        http2: simulateMultiplexed('HTTP/2', requests, link, plan, options.resumed),
+        http3: simulateMultiplexed('HTTP/3', requests, link, plan, options.resumed)
+    };
+}
+
+module.exports = {
+    RESPONSE_BYTES,
+    MAX_STREAMS,
+    compareProtocols
+};
\ No newline at end of file
@@ -1,17 +1,55 @@
 const axios = require('axios');
+const http = require('http');
 const https = require('https');
 const config = require('../../config/config');
+const timingTracker = require('./timingTracker');
+const tlsInspector = require('./tlsInspector');
+const wireFormatter = require('./wireFormatter');
+const bodyInspector = require('./bodyInspector');
+const authHandler = require('./authHandler');
+const destinationPolicy = require('./destinationPolicy');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Shared keep-alive agents so repeated requests can reuse sockets.
+// Every agent resolves hosts through the destination policy.
+const httpAgent = new http.Agent({ keepAlive: true, lookup: destinationPolicy.lookup });
+const httpsAgent = new https.Agent({
+    keepAlive: true,
+    lookup: destinationPolicy.lookup,
+    // Certificate problems are reported in the TLS details instead of failing the request
+    rejectUnauthorized: false,
+    // axios speaks HTTP/1.1 only, so that is all we offer during ALPN
+    ALPNProtocols: ['http/1.1']
+});
+
+// Agents for Connection: close, which open a fresh socket for every request
+const closeHttpAgent = new http.Agent({ keepAlive: false, lookup: destinationPolicy.lookup });
+const closeHttpsAgent = new https.Agent({
+    keepAlive: false,
+    lookup: destinationPolicy.lookup,
+    rejectUnauthorized: false,
+    ALPNProtocols: ['http/1.1']
+});
 
 /**
  * Make a real HTTP request to external URL with improved error handling
  * @param {string} url - Target URL
  * @param {string} method - HTTP method
  * @param {number} timeout - Request timeout in ms
- * @param {object} options - Additional options
+ * @param {object} options - Additional options (cookies, headers, body, contentType, digestAuth, connectionType, conditional headers)
  * @returns {Promise} Real response data
  */
 async function makeRealRequest(url, method = 'GET', timeout = 10000, options = {}) {
     const startTime = Date.now();
+    let lastMarks = null;
+    let lastTls = null;
+    let lastCapture = null;
+    let redirectTime = 0;
+    const redirectChain = [];
+    let authChallenge = null;
+    const keepAlive = options.connectionType !== 'close';
     
     try {
         // Validate URL
@@ -22,36 +60,54 @@ async function makeRealRequest(url, method = 'GET', timeout = 10000, options = {
         // Configure axios request with improved settings
         const axiosConfig = {
             method: method.toLowerCase(),
-            url: url,
             timeout: timeout,
-            maxRedirects: 5,
+            // Redirects are followed below so every hop goes through the timed transport
+            maxRedirects: 0,
+            transport: timingTracker.createTimedTransport((marks, req) => {
+                lastMarks = marks;
+                lastTls = null;
+                lastCapture = wireFormatter.captureExchange(req);
+                req.once('response', () => {
+                    lastTls = tlsInspector.inspectSocket(req.socket, marks.reused);
+                });
+            }),
             validateStatus: () => true, // Accept any status code
-            maxContentLength: 5 * 1024 * 1024, // 5MB limit
+            maxContentLength: config.MAX_RESPONSE_SIZE,
+            // Keep the decoded bytes so the body can be classified by content type
+            responseType: 'arraybuffer',
             headers: {
                 // Use a more standard user agent
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
                 'Accept-Language': 'en-US,en;q=0.5',
                 'Accept-Encoding': 'gzip, deflate, br',
-                'Connection': 'keep-alive',
+                'Connection': keepAlive ? 'keep-alive' : 'close',
                 'Upgrade-Insecure-Requests': '1'
             },
+            httpAgent: keepAlive ? httpAgent : closeHttpAgent,
             // Handle SSL/TLS issues (for educational sites with certificate problems)
-            httpsAgent: new https.Agent({
-                rejectUnauthorized: false, // Allow self-signed certificates
-                secureProtocol: 'TLSv1_2_method'
-            }),
+            httpsAgent: keepAlive ? httpsAgent : closeHttpsAgent,
             // Decompress responses
             decompress: true
         };
 
-        // Add body for POST/PUT requests
-        if (method === 'POST' || method === 'PUT') {
-            axiosConfig.data = {
-                message: 'Test request from HTTP Simulator',
-                timestamp: new Date().toISOString()
-            };
-            axiosConfig.headers['Content-Type'] = 'application/json';
+        // User-defined headers replace the defaults of the same name
+        (options.headers || []).forEach(([name, value]) => {
+            Object.keys(axiosConfig.headers)
+                .filter(existing => existing.toLowerCase() === name.toLowerCase())
+                .forEach(existing => delete axiosConfig.headers[existing]);
+            axiosConfig.headers[name] = value;
+        });
+
+        // Send the user's raw body exactly as typed
+        if (options.body !== null && options.body !== undefined) {
+            axiosConfig.data = options.body;
+            axiosConfig.transformRequest = [(data) => data];
+            const hasContentType = Object.keys(axiosConfig.headers)
+                .some(name => name.toLowerCase() === 'content-type');
+            if (!hasContentType && options.contentType) {
+                axiosConfig.headers['Content-Type'] = options.contentType;
+            }
         }
 
         // Include cookies if provided
@@ -69,33 +125,112 @@ async function makeRealRequest(url, method = 'GET', timeout = 10000, options = {
 
         console.log(`🌐 Making real request to: ${url}`);
 
-        // Make the request
-        const response = await axios(axiosConfig);
+        // Make the request, following redirects hop by hop
+        let currentUrl = url;
+        let response;
+
+        while (true) {
+            // IP literals and denied hostnames are caught here, resolved addresses by the agents
+            destinationPolicy.checkUrl(currentUrl);
+            response = await axios({ ...axiosConfig, url: currentUrl });
+
+            // Digest costs an extra round trip: answer the 401 challenge once and resend
+            if (response.status === 401 && options.digestAuth && !authChallenge) {
+                const challenge = authHandler.parseDigestChallenge(response.headers['www-authenticate']);
+                if (challenge) {
+                    const target = new URL(currentUrl);
+                    authChallenge = {
+                        url: currentUrl,
+                        statusCode: response.status,
+                        statusText: response.statusText,
+                        wwwAuthenticate: response.headers['www-authenticate'],
+                        challenge: challenge,
+                        timing: timingTracker.computeTiming(lastMarks)
+                    };
+                    axiosConfig.headers['Authorization'] = authHandler.buildDigestAuthorization(challenge, {
+                        username: options.digestAuth.username,
+                        password: options.digestAuth.password,
+                        method: axiosConfig.method.toUpperCase(),
+                        uri: target.pathname + target.search
+                    });
+                    continue;
+                }
+            }
+
+            const location = response.headers['location'];
+            if (!REDIRECT_STATUSES.includes(response.status) || !location || redirectChain.length >= MAX_REDIRECTS) {
+                break;
+            }
+
+            const hopTiming = timingTracker.computeTiming(lastMarks);
+            const hopCookies = extractCookies(response.headers['set-cookie']);
+            const nextUrl = new URL(location, currentUrl).toString();
+            redirectTime += hopTiming.total;
+
+            // Record the hop before it is replaced by the next response
+            redirectChain.push({
+                url: currentUrl,
+                method: axiosConfig.method.toUpperCase(),
+                statusCode: response.status,
+                statusText: response.statusText,
+                location: location,
+                nextUrl: nextUrl,
+                cookies: hopCookies,
+                timing: hopTiming,
+                tls: lastTls
+            });
+
+            // 303 always switches to GET; browsers do the same for POST on 301/302
+            if (response.status === 303 || ((response.status === 301 || response.status === 302) && axiosConfig.method === 'post')) {
+                axiosConfig.method = 'get';
+                delete axiosConfig.data;
+                Object.keys(axiosConfig.headers)
+                    .filter(name => name.toLowerCase() === 'content-type')
+                    .forEach(name => delete axiosConfig.headers[name]);
+            }
+
+            // Never forward cookies or credentials to a different host; same-host hops carry cookies set along the way
+            if (new URL(nextUrl).host !== new URL(currentUrl).host) {
+                Object.keys(axiosConfig.headers)
+                    .filter(name => ['cookie', 'authorization'].includes(name.toLowerCase()))
+                    .forEach(name => delete axiosConfig.headers[name]);
+            } else if (hopCookies.length > 0) {
+                axiosConfig.headers['Cookie'] = mergeCookieHeader(axiosConfig.headers['Cookie'], hopCookies);
+            }
+
+            currentUrl = nextUrl;
+        }
+
         const endTime = Date.now();
         const totalTime = endTime - startTime;
 
         console.log(`✅ Response received: ${response.status} ${response.statusText} (${totalTime}ms)`);
 
+        const { body, bodyInfo } = bodyInspector.inspectBody(response.data, response.headers['content-type'], {
+            bytes: lastCapture.bodyBytes,
+            contentEncoding: lastCapture.contentEncoding
+        });
+
         // Extract response data
         const result = {
             success: true,
             statusCode: response.status,
             statusText: response.statusText,
             headers: formatHeaders(response.headers),
-            body: formatBody(response.data),
+            body: body,
+            bodyInfo: bodyInfo,
             timing: {
+                ...timingTracker.computeTiming(lastMarks),
                 total: totalTime,
-                // Estimate timing breakdown
-                dns: Math.floor(totalTime * 0.1),
-                tcp: Math.floor(totalTime * 0.15),
-                tls: Math.floor(totalTime * 0.15),
-                request: Math.floor(totalTime * 0.1),
-                waiting: Math.floor(totalTime * 0.3),
-                download: Math.floor(totalTime * 0.2)
+                redirect: Math.round(redirectTime * 10) / 10
             },
-            url: response.config.url,
-            redirected: response.request.res?.responseUrl !== url,
-            finalUrl: response.request.res?.responseUrl || url,
+            url: currentUrl,
+            redirected: redirectChain.length > 0,
+            finalUrl: currentUrl,
+            redirectChain: redirectChain,
+            authChallenge: authChallenge,
+            tls: lastTls,
+            raw: wireFormatter.formatCapturedExchange(lastCapture, axiosConfig.data),
             contentType: response.headers['content-type'] || 'unknown',
             contentLength: response.headers['content-length'] || 'unknown',
             cookies: extractCookies(response.headers['set-cookie']),
@@ -112,7 +247,14 @@ async function makeRealRequest(url, method = 'GET', timeout = 10000, options = {
         console.error(`❌ Request failed: ${error.message}`);
 
         // Handle different error types
-        return handleRequestError(error, url, totalTime);
+        const failure = handleRequestError(error, url, totalTime, {
+            ...timingTracker.computeTiming(lastMarks),
+            total: totalTime,
+            redirect: Math.round(redirectTime * 10) / 10
+        });
+        // Hops that completed before the failure are still worth showing
+        failure.redirectChain = redirectChain;
+        return failure;
     }
 }
 
@@ -128,8 +270,7 @@ function isValidUrl(url) {
             return false;
         }
         
-        // REMOVED: Private IP blocking to allow testing with educational sites
-        // Most educational institutions have public IPs anyway
+        // Private and internal destinations are refused by destinationPolicy
         
         return true;
     } catch (e) {
@@ -152,42 +293,6 @@ function formatHeaders(headers) {
     return formatted;
 }
 
-/**
- * Format response body with better handling
- */
-function formatBody(data) {
-    // If it's already an object, return as is
-    if (typeof data === 'object' && data !== null) {
-        return data;
-    }
-    
-    // If it's a string, try to parse as JSON
-    if (typeof data === 'string') {
-        // Check if it's HTML
-        if (data.trim().startsWith('<')) {
-            return {
-                contentType: 'text/html',
-                preview: data.substring(0, 500) + (data.length > 500 ? '... (truncated)' : ''),
-                size: data.length,
-                note: 'HTML content (showing preview)'
-            };
-        }
-        
-        try {
-            return JSON.parse(data);
-        } catch (e) {
-            // If not JSON, return as text
-            return {
-                contentType: 'text/plain',
-                data: data.substring(0, 1000) + (data.length > 1000 ? '... (truncated)' : ''),
-                size: data.length
-            };
-        }
-    }
-    
-    return data;
-}
-
 /**
  * Extract cookies from Set-Cookie header
  */
@@ -198,16 +303,42 @@ function extractCookies(setCookieHeader) {
     return headers.map(cookie => cookie.split(';')[0]); // Get name=value part only
 }
 
+/**
+ * Merge name=value pairs set during a redirect into a Cookie header
+ */
+function mergeCookieHeader(cookieHeader, newCookies) {
+    const jar = new Map();
+
+    [...(cookieHeader ? cookieHeader.split(';') : []), ...newCookies].forEach(pair => {
+        const trimmed = pair.trim();
+        if (!trimmed) return;
+        const name = trimmed.split('=')[0];
+        jar.set(name, trimmed);
+    });
+
+    return Array.from(jar.values()).join('; ');
+}
+
 /**
  * Handle request errors with detailed messages
  */
-function handleRequestError(error, url, totalTime) {
+function handleRequestError(error, url, totalTime, timing = null) {
     let errorType = 'Unknown Error';
     let errorMessage = error.message;
     let statusCode = 0;
     let troubleshooting = [];
 
-    if (error.code === 'ENOTFOUND') {
+    if (error.code === 'DESTINATION_BLOCKED') {
+        errorType = 'Destination Blocked';
+        errorMessage = error.message;
+        statusCode = 403;
+        troubleshooting = [
+            'Real requests cannot reach loopback, private, link-local or cloud metadata addresses',
+            'Redirects are checked too, so a public URL redirecting inward is refused',
+            'Hosts can be allowed or denied in DESTINATION_POLICY in config/config.js',
+            'Use mock mode to simulate requests to internal resources'
+        ];
+    } else if (error.code === 'ENOTFOUND') {
         errorType = 'DNS Resolution Failed';
         errorMessage = `Could not resolve hostname. The domain "${new URL(url).hostname}" does not exist or is unreachable.`;
         statusCode = 0;
@@ -289,20 +420,13 @@ function handleRequestError(error, url, totalTime) {
         statusCode: statusCode,
         statusText: errorType,
         headers: error.response ? formatHeaders(error.response.headers) : {},
-        body: error.response ? formatBody(error.response.data) : {
+        body: error.response ? bodyInspector.inspectBody(error.response.data, error.response.headers['content-type']).body : {
             error: errorType,
             message: errorMessage,
             troubleshooting: troubleshooting
         },
-        timing: {
-            total: totalTime,
-            dns: 0,
-            tcp: 0,
-            tls: 0,
-            request: 0,
-            waiting: 0,
-            download: 0
-        },
+        // Keep whatever phases completed before the failure
+        timing: timing || { ...timingTracker.emptyTiming(), total: totalTime, redirect: 0 },
         url: url,
         real: true,
         troubleshooting: troubleshooting
@@ -315,12 +439,16 @@ function handleRequestError(error, url, totalTime) {
 async function testUrlReachability(url) {
     try {
         const agent = new https.Agent({
-            rejectUnauthorized: false
+            rejectUnauthorized: false,
+            lookup: destinationPolicy.lookup
         });
         
         await axios.head(url, { 
             timeout: 5000,
-            httpsAgent: agent
+            httpAgent: new http.Agent({ lookup: destinationPolicy.lookup }),
+            httpsAgent: agent,
+            // Every redirect hop must pass the destination policy as well
+            beforeRedirect: (options) => destinationPolicy.checkHostname(options.hostname)
         });
         return true;
     } catch (error) {
@@ -347,6 +475,28 @@ async function diagnoseUrl(url) {
             message: 'URL format is valid'
         });
 
+        // Never probe destinations the policy refuses
+        try {
+            await destinationPolicy.resolveAndCheck(url);
+            diagnosis.checks.push({
+                test: 'Destination Policy',
+                passed: true,
+                message: `${parsed.hostname} is an allowed destination`
+            });
+        } catch (e) {
+            if (e.code === 'DESTINATION_BLOCKED') {
+                diagnosis.blocked = true;
+                diagnosis.errorType = 'Destination Blocked';
+                diagnosis.checks.push({
+                    test: 'Destination Policy',
+                    passed: false,
+                    message: e.message
+                });
+                return diagnosis;
+            }
+            // Lookup failures are reported by the DNS check below
+        }
+
         // Test DNS resolution
         try {
             const dns = require('dns').promises;
@@ -0,0 +1,190 @@
+/**
+ * Request Builder
+ * Turns the user-defined headers, query parameters and body from
+ * /api/simulate-request into one normalized request for mock and real mode
+ */
+
+const authHandler = require('./authHandler');
+
+const BODY_CONTENT_TYPES = {
+    json: 'application/json',
+    form: 'application/x-www-form-urlencoded',
+    text: 'text/plain',
+    xml: 'application/xml'
+};
+
+// Methods the simulator sends, in mock and real mode
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// RFC 9110 token characters allowed in a header field name
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Normalize key/value input into an ordered list of [key, value] pairs.
+ * Accepts either an array of { key, value, enabled } rows or a plain object.
+ */
+function normalizePairs(input) {
+    if (!input) return [];
+
+    if (Array.isArray(input)) {
+        return input
+            .filter(row => row && row.enabled !== false && String(row.key || '').trim() !== '')
+            .map(row => [String(row.key).trim(), row.value === undefined || row.value === null ? '' : String(row.value)]);
+    }
+
+    if (typeof input === 'object') {
+        return Object.keys(input).map(key => [key, String(input[key])]);
+    }
+
+    return [];
+}
+
+/**
+ * Append query parameters to a URL, keeping any it already has
+ */
+function applyQueryParams(url, queryParams) {
+    if (queryParams.length === 0) return url;
+
+    try {
+        const parsed = new URL(url);
+        queryParams.forEach(([key, value]) => parsed.searchParams.append(key, value));
+        return parsed.toString();
+    } catch (e) {
+        // Mock mode accepts bare resource names, so append by hand
+        const query = new URLSearchParams(queryParams).toString();
+        return url + (url.includes('?') ? '&' : '?') + query;
+    }
+}
+
+/**
+ * Validate a raw body against its declared type
+ */
+function validateBody(body, bodyType) {
+    if (bodyType === 'json') {
+        try {
+            JSON.parse(body);
+        } catch (e) {
+            return `Body is not valid JSON: ${e.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a raw body for display in mock responses
+ */
+function parseBody(body, bodyType) {
+    if (body === null || body === undefined) return null;
+
+    switch (bodyType) {
+        case 'json':
+            try {
+                return JSON.parse(body);
+            } catch (e) {
+                return body;
+            }
+        case 'form':
+            return Object.fromEntries(new URLSearchParams(body));
+        default:
+            return body;
+    }
+}
+
+/**
+ * Whether a method from a request body is one the simulator supports (any letter case)
+ */
+function isValidMethod(method) {
+    return typeof method === 'string' && HTTP_METHODS.includes(method.toUpperCase());
+}
+
+/**
+ * Build the request description shared by mock and real mode
+ * @param {object} input - url, method, headers, queryParams, body, bodyType, auth
+ * @returns {object} { valid, error } or { valid, url, method, headers, body, bodyType, contentType, auth }
+ */
+function buildRequest(input) {
+    const { url, method = 'GET', body, bodyType = 'json' } = input;
+
+    if (!url || typeof url !== 'string') {
+        return { valid: false, error: 'URL is required' };
+    }
+
+    if (!isValidMethod(method)) {
+        return { valid: false, error: `method must be one of ${HTTP_METHODS.join(', ')}` };
+    }
+
+    // The body is sent exactly as typed, so it has to arrive as text
+    if (body !== undefined && body !== null && typeof body !== 'string') {
+        return { valid: false, error: 'body must be a string; serialize JSON bodies before sending them' };
+    }
+
+    const headers = normalizePairs(input.headers);
+    const queryParams = normalizePairs(input.queryParams);
+
+    for (const [name, value] of headers) {
+        if (!HEADER_NAME_PATTERN.test(name)) {
+            return { valid: false, error: `Invalid header name: "${name}"` };
+        }
+        if (/[\r\n]/.test(value)) {
+            return { valid: false, error: `Header "${name}" contains a line break` };
+        }
+    }
+
+    // Credentials from the auth section are added after the user's own headers
+    const auth = input.auth && input.auth.type && input.auth.type !== 'none' ? input.auth : null;
+    const authError = authHandler.validateAuth(auth);
+    if (authError) {
+        return { valid: false, error: authError };
+    }
+
+    const authParts = authHandler.buildStaticAuth(auth);
+    for (const [name] of authParts.headers) {
+        if (headers.some(([existing]) => existing.toLowerCase() === name.toLowerCase())) {
+            return { valid: false, error: `The "${name}" header is already set by the auth section` };
+        }
+        if (!HEADER_NAME_PATTERN.test(name)) {
+            return { valid: false, error: `Invalid header name: "${name}"` };
+        }
+    }
+    headers.push(...authParts.headers);
+    queryParams.push(...authParts.queryParams);
+
+    const hasBody = typeof body === 'string' && body.length > 0;
+
+    if (hasBody && !BODY_CONTENT_TYPES[bodyType]) {
+        return { valid: false, error: `Unsupported body type: "${bodyType}"` };
+    }
+
+    if (hasBody) {
+        const bodyError = validateBody(body, bodyType);
+        if (bodyError) {
+            return { valid: false, error: bodyError };
+        }
+    }
+
+    // An explicit Content-Type header wins over the body type selector
+    const explicitType = headers.find(([name]) => name.toLowerCase() === 'content-type');
+    const contentType = hasBody ? (explicitType ? explicitType[1] : BODY_CONTENT_TYPES[bodyType]) : null;
+
+    return {
+        valid: true,
+        url: applyQueryParams(url, queryParams),
+        method: method.toUpperCase(),
+        headers,
+        queryParams,
+        body: hasBody ? body : null,
+        bodyType: hasBody ? bodyType : null,
+        contentType,
+        // Digest needs the server's challenge, so it is answered at request time
+        auth: auth && auth.type === 'digest' ? { type: 'digest', username: auth.username, password: auth.password || '' } : null,
+        authType: auth ? auth.type : 'none'
+    };
+}
+
+module.exports = {
+    BODY_CONTENT_TYPES,
+    HTTP_METHODS,
+    isValidMethod,
+    buildRequest,
+    parseBody
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Seeded Random
+ * Deterministic pseudo-random numbers so a simulation can be replayed from its seed
+ */
+
+const crypto = require('crypto');
+
+const MAX_SEED = 0xFFFFFFFF;
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Validate a seed from a request, or pick a new one when none is given
+ * @param {number|string} seed - Integer 0..2^32-1 or a non-empty string
+ * @returns {object} { valid, seed } or { valid: false, error }
+ */
+function resolveSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        return { valid: true, seed: crypto.randomInt(MAX_SEED) };
+    }
+
+    if (typeof seed === 'number') {
+        if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+            return { valid: false, error: `seed must be an integer between 0 and ${MAX_SEED} or a string` };
+        }
+        return { valid: true, seed };
+    }
+
+    if (typeof seed !== 'string' || seed.length > MAX_SEED_LENGTH) {
+        return { valid: false, error: `seed must be an integer or a string of at most ${MAX_SEED_LENGTH} characters` };
+    }
+
+    // Numeric strings (e.g. from a form field) replay the same run as the number
+    return { valid: true, seed: /^\d+$/.test(seed) && Number(seed) <= MAX_SEED ? Number(seed) : seed };
+}
+
+/**
+ * FNV-1a, so string seeds map onto the 32-bit generator state
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Drop-in replacement for Math.random (mulberry32)
+ * @returns {Function} Returns numbers in [0, 1), the same sequence for the same seed
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hex string of the given number of bytes, drawn from a generator
+ */
+function randomHex(random, bytes) {
+    return Array.from({ length: bytes }, () => Math.floor(random() * 256).toString(16).padStart(2, '0')).join('');
+}
+
+module.exports = {
+    resolveSeed,
+    createRandom,
+    randomHex
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * TCP Congestion Model
+ * Round-by-round slow start, congestion avoidance and loss recovery for the download phase (RFC 5681)
+ */
+
+const packetLoss = require('./packetLoss');
+
+const INITIAL_CWND = 10; // Segments (RFC 6928)
+const RECEIVE_WINDOW = 256; // Segments the receiver advertises (~370 KB)
+const DEFAULT_BANDWIDTH_KBPS = 10000; // Assumed when no network profile is selected
+const DEFAULT_RTT = 100; // ms, when the timeline has no round trip to measure
+
+/**
+ * Simulate transferring a response over a fresh congestion window
+ * @param {number} bytes - Response size on the wire
+ * @param {object} link - { rtt, bandwidthKbps (null = assumed default), lossPercent }
+ * @param {Function} random - Loss rolls, seeded for reproducible runs
+ * @returns {object} { rounds, duration, segments, segmentsSent, segmentsLost, failed }
+ */
+function simulateDownload(bytes, link, random = Math.random) {
+    const mss = packetLoss.MSS;
+    const rtt = Math.max(link.rtt, 1);
+    const bandwidthKbps = link.bandwidthKbps || DEFAULT_BANDWIDTH_KBPS;
+    const lossRate = Math.min(Math.max(link.lossPercent || 0, 0), 100) / 100;
+    const rto = packetLoss.retransmissionTimeout(rtt);
+
+    // Each queued entry is one segment and how often it has been retransmitted
+    const queue = Array.from({ length: Math.max(1, Math.ceil(bytes / mss)) }, () => 0);
+    const segments = queue.length;
+
+    let cwnd = INITIAL_CWND;
+    let ssthresh = Infinity;
+    let timeouts = 0;
+    let elapsed = 0;
+    let delivered = 0;
+    let segmentsSent = 0;
+    let segmentsLost = 0;
+    let failed = false;
+    const rounds = [];
+
+    while (queue.length > 0 && !failed) {
+        const window = Math.min(Math.floor(cwnd), RECEIVE_WINDOW);
+        const flight = queue.splice(0, window);
+        const phase = cwnd < ssthresh ? 'slow start' : 'congestion avoidance';
+        const lost = [];
+        // Each segment that arrives after the first loss draws a duplicate ACK; lost ones draw none
+        let duplicateAcks = 0;
+
+        flight.forEach((retries) => {
+            if (random() < lossRate) {
+                lost.push(retries + 1);
+            } else if (lost.length > 0) {
+                duplicateAcks++;
+            }
+        });
+
+        segmentsSent += flight.length;
+        segmentsLost += lost.length;
+        delivered += flight.length - lost.length;
+
+        // The first flight's opening byte is already counted as TTFB, so it only costs serialization
+        const serialization = (flight.length * mss * 8) / bandwidthKbps;
+        let roundTime = rounds.length === 0 ? serialization : Math.max(rtt, serialization);
+        let event = null;
+
+        if (lost.length === 0) {
+            timeouts = 0;
+            // Slow start adds a segment per ACK; congestion avoidance about one per RTT
+            cwnd = cwnd < ssthresh ? cwnd + flight.length : cwnd + flight.length / cwnd;
+        } else if (duplicateAcks >= 3) {
+            // Three duplicate ACKs: fast retransmit, halve the window and carry on
+            event = 'fast retransmit';
+            timeouts = 0;
+            ssthresh = Math.max(Math.floor(flight.length / 2), 2);
+            cwnd = ssthresh;
+        } else {
+            // Too few later segments arrived to signal the loss; wait for the timer
+            event = 'timeout';
+            roundTime += rto * Math.pow(2, timeouts);
+            timeouts++;
+            ssthresh = Math.max(Math.floor(flight.length / 2), 2);
+            cwnd = 1;
+        }
+
+        if (lost.some(retries => retries > packetLoss.MAX_RETRANSMISSIONS)) {
+            failed = true;
+        }
+
+        // Lost segments go out again before any new data
+        queue.unshift(...lost);
+        elapsed += roundTime;
+
+        rounds.push({
+            round: rounds.length + 1,
+            phase: phase,
+            cwnd: window,
+            ssthresh: Number.isFinite(ssthresh) ? ssthresh : null,
+            sent: flight.length,
+            lost: lost.length,
+            delivered: delivered,
+            event: event,
+            time: Math.round(elapsed * 10) / 10
+        });
+    }
+
+    return {
+        mss: mss,
+        initialCwnd: INITIAL_CWND,
+        receiveWindow: RECEIVE_WINDOW,
+        rtt: Math.round(rtt * 10) / 10,
+        bandwidthKbps: bandwidthKbps,
+        bandwidthAssumed: !link.bandwidthKbps,
+        bytes: bytes,
+        segments: segments,
+        segmentsSent: segmentsSent,
+        segmentsLost: segmentsLost,
+        rounds: rounds,
+        duration: Math.round(elapsed * 10) / 10,
+        failed: failed
+    };
+}
+
+/**
+ * Best available round-trip estimate from a timeline: the TCP handshake, else the TTFB
+ */
+function estimateRtt(timeline) {
+    const connect = timeline.find(stage => stage.stage === 'TCP Connection');
+    if (connect && connect.duration > 0) return connect.duration;
+
+    const waiting = timeline.find(stage => stage.stage === 'Waiting (TTFB)');
+    return waiting && waiting.duration > 0 ? waiting.duration : DEFAULT_RTT;
+}
+
+module.exports = {
+    INITIAL_CWND,
+    DEFAULT_BANDWIDTH_KBPS,
+    DEFAULT_RTT,
+    simulateDownload,
+    estimateRtt
+};
\ No newline at end of file
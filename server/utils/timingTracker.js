@@ -0,0 +1,131 @@
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+
+/**
+ * Attach listeners to an outgoing request that record when each phase completes.
+ * Returns the marks object, which is filled in as socket and response events fire.
+ */
+function trackRequest(req) {
+    const marks = {
+        start: performance.now(),
+        reused: false
+    };
+
+    req.once('socket', (socket) => {
+        marks.socketAssigned = performance.now();
+
+        // A keep-alive socket handed back by the agent is already connected
+        if (req.reusedSocket || !socket.connecting) {
+            marks.reused = true;
+            return;
+        }
+
+        socket.once('lookup', () => {
+            marks.dnsDone = performance.now();
+        });
+        socket.once('connect', () => {
+            marks.tcpDone = performance.now();
+        });
+        socket.once('secureConnect', () => {
+            marks.tlsDone = performance.now();
+        });
+    });
+
+    req.once('finish', () => {
+        marks.requestSent = performance.now();
+
+        // The next bytes on this socket belong to our response
+        if (req.socket) {
+            req.socket.once('data', () => {
+                if (!marks.firstByte) {
+                    marks.firstByte = performance.now();
+                }
+            });
+        }
+    });
+
+    req.once('response', (res) => {
+        marks.headersReceived = performance.now();
+        if (!marks.firstByte) {
+            marks.firstByte = marks.headersReceived;
+        }
+
+        res.once('end', () => {
+            marks.end = performance.now();
+        });
+    });
+
+    return marks;
+}
+
+/**
+ * Convert recorded marks into per-phase durations (ms)
+ */
+function computeTiming(marks) {
+    if (!marks) {
+        return emptyTiming();
+    }
+
+    const round = (value) => Math.max(0, Math.round(value * 10) / 10);
+    const last = marks.end || marks.firstByte || marks.requestSent || marks.socketAssigned || marks.start;
+
+    // Phases that never happened (IP literal, plain HTTP, reused socket) cost nothing
+    const dnsEnd = marks.dnsDone || marks.socketAssigned || marks.start;
+    const tcpEnd = marks.tcpDone || dnsEnd;
+    const tlsEnd = marks.tlsDone || tcpEnd;
+    const sentAt = marks.requestSent || tlsEnd;
+    const firstByteAt = marks.firstByte || sentAt;
+    const endAt = marks.end || firstByteAt;
+
+    return {
+        total: round(last - marks.start),
+        blocked: round((marks.socketAssigned || marks.start) - marks.start),
+        dns: marks.reused ? 0 : round(dnsEnd - (marks.socketAssigned || marks.start)),
+        tcp: marks.reused ? 0 : round(tcpEnd - dnsEnd),
+        tls: marks.reused ? 0 : round(tlsEnd - tcpEnd),
+        request: round(sentAt - tlsEnd),
+        waiting: round(firstByteAt - sentAt),
+        download: round(endAt - firstByteAt),
+        reused: marks.reused
+    };
+}
+
+/**
+ * Timing object for requests that never got far enough to be measured
+ */
+function emptyTiming() {
+    return {
+        total: 0,
+        blocked: 0,
+        dns: 0,
+        tcp: 0,
+        tls: 0,
+        request: 0,
+        waiting: 0,
+        download: 0,
+        reused: false
+    };
+}
+
+/**
+ * Build an axios transport that tracks every request it creates.
+ * onRequest receives the marks object and the ClientRequest for each outgoing request.
+ */
+function createTimedTransport(onRequest) {
+    return {
+        request(options, callback) {
+            const transport = options.protocol === 'https:' ? https : http;
+            const req = transport.request(options, callback);
+            onRequest(trackRequest(req), req);
+            return req;
+        }
+    };
+}
+
+module.exports = {
+    trackRequest,
+    computeTiming,
+    emptyTiming,
+    createTimedTransport
+};
\ No newline at end of file
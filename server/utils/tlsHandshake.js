@@ -0,0 +1,197 @@
+/**
+ * TLS Handshake Model
+ * Message-by-message TLS 1.2 and TLS 1.3 handshakes, with resumption and 0-RTT, costed on one link
+ */
+
+const networkProfiles = require('./networkProfiles');
+const tcpModel = require('./tcpModel');
+
+const REQUEST_BYTES = 400; // A typical GET with headers
+const RESPONSE_BYTES = 1460; // The first segment of the response
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Message helpers: sizes are typical record sizes in bytes; encryption is the
+// key the message is protected with (null for plaintext)
+const tcp = (name, bytes) => ({ name, layer: 'tcp', bytes, encryption: null });
+const tls = (name, bytes, encryption = null) => ({ name, layer: 'tls', bytes, encryption });
+const http = (name, bytes, encryption = 'application') => ({ name, layer: 'http', bytes, encryption });
+
+const TCP_OPEN = [
+    { from: 'client', messages: [tcp('SYN', 60)] },
+    { from: 'server', messages: [tcp('SYN-ACK', 60)] }
+];
+
+// Flights alternate between client and server; each leaves when the previous one arrives
+const SCENARIOS = {
+    'tls12-full': {
+        name: 'TLS 1.2 full handshake',
+        version: 'TLS 1.2',
+        resumed: false,
+        earlyData: false,
+        flights: [
+            ...TCP_OPEN,
+            { from: 'client', messages: [tcp('ACK', 52), tls('ClientHello', 250)] },
+            { from: 'server', messages: [tls('ServerHello', 90), tls('Certificate', 3000), tls('ServerKeyExchange', 330), tls('ServerHelloDone', 9)] },
+            { from: 'client', messages: [tls('ClientKeyExchange', 70), tls('ChangeCipherSpec', 6), tls('Finished', 45, 'application')] },
+            { from: 'server', messages: [tls('NewSessionTicket', 200), tls('ChangeCipherSpec', 6), tls('Finished', 45, 'application')] },
+            { from: 'client', messages: [http('HTTP request', REQUEST_BYTES)] },
+            { from: 'server', messages: [http('HTTP response', RESPONSE_BYTES)] }
+        ],
+        notes: [
+            'Two round trips before the client may send application data',
+            'RSA or ECDHE key exchange; the certificate travels in plaintext'
+        ]
+    },
+    'tls12-resumed': {
+        name: 'TLS 1.2 session ticket',
+        version: 'TLS 1.2',
+        resumed: true,
+        earlyData: false,
+        flights: [
+            ...TCP_OPEN,
+            { from: 'client', messages: [tcp('ACK', 52), tls('ClientHello + SessionTicket', 450)] },
+            { from: 'server', messages: [tls('ServerHello', 90), tls('ChangeCipherSpec', 6), tls('Finished', 45, 'application')] },
+            { from: 'client', messages: [tls('ChangeCipherSpec', 6), tls('Finished', 45, 'application'), http('HTTP request', REQUEST_BYTES)] },
+            { from: 'server', messages: [http('HTTP response', RESPONSE_BYTES)] }
+        ],
+        notes: [
+            'The ticket (RFC 5077) restores the master secret, so no certificate or key exchange is sent',
+            'One round trip; the ticket key must be rotated to keep forward secrecy'
+        ]
+    },
+    'tls13-full': {
+        name: 'TLS 1.3 full handshake',
+        version: 'TLS 1.3',
+        resumed: false,
+        earlyData: false,
+        flights: [
+            ...TCP_OPEN,
+            { from: 'client', messages: [tcp('ACK', 52), tls('ClientHello + key_share', 300)] },
+            { from: 'server', messages: [tls('ServerHello + key_share', 120), tls('EncryptedExtensions', 30, 'handshake'), tls('Certificate', 3000, 'handshake'), tls('CertificateVerify', 280, 'handshake'), tls('Finished', 53, 'handshake')] },
+            { from: 'client', messages: [tls('Finished', 53, 'handshake'), http('HTTP request', REQUEST_BYTES)] },
+            { from: 'server', messages: [tls('NewSessionTicket', 250, 'application'), http('HTTP response', RESPONSE_BYTES)] }
+        ],
+        notes: [
+            'The client guesses the key exchange group and sends its key share up front: one round trip',
+            'Everything after ServerHello is encrypted, including the certificate'
+        ]
+    },
+    'tls13-resumed': {
+        name: 'TLS 1.3 PSK resumption',
+        version: 'TLS 1.3',
+        resumed: true,
+        earlyData: false,
+        flights: [
+            ...TCP_OPEN,
+            { from: 'client', messages: [tcp('ACK', 52), tls('ClientHello + pre_shared_key', 500)] },
+            { from: 'server', messages: [tls('ServerHello + pre_shared_key', 150), tls('EncryptedExtensions', 30, 'handshake'), tls('Finished', 53, 'handshake')] },
+            { from: 'client', messages: [tls('Finished', 53, 'handshake'), http('HTTP request', REQUEST_BYTES)] },
+            { from: 'server', messages: [tls('NewSessionTicket', 250, 'application'), http('HTTP response', RESPONSE_BYTES)] }
+        ],
+        notes: [
+            'A ticket from the last connection becomes a pre-shared key; no certificate is sent',
+            'Still one round trip, with a fresh key share for forward secrecy'
+        ]
+    },
+    'tls13-0rtt': {
+        name: 'TLS 1.3 0-RTT early data',
+        version: 'TLS 1.3',
+        resumed: true,
+        earlyData: true,
+        flights: [
+            ...TCP_OPEN,
+            { from: 'client', messages: [tcp('ACK', 52), tls('ClientHello + early_data', 520), http('HTTP request (early data)', REQUEST_BYTES, 'early')] },
+            { from: 'server', messages: [tls('ServerHello + pre_shared_key', 150), tls('EncryptedExtensions + early_data', 34, 'handshake'), tls('Finished', 53, 'handshake'), http('HTTP response', RESPONSE_BYTES)] },
+            { from: 'client', messages: [tls('EndOfEarlyData', 20, 'early'), tls('Finished', 53, 'handshake')] }
+        ],
+        notes: [
+            'The request rides in the first flight, encrypted with a key derived from the ticket',
+            'Early data can be replayed by an attacker, so only idempotent requests should use it'
+        ]
+    }
+};
+
+/**
+ * Play one scenario's flights over the link
+ * @param {object} scenario - From SCENARIOS
+ * @param {object} link - { rtt, uplinkKbps, downlinkKbps }
+ * @returns {object} { flights, requestSentAt, firstByteAt, tlsRoundTrips, handshakeTime }
+ */
+function playFlights(scenario, link) {
+    let clock = 0;
+    let tlsStart = null;
+    let requestSentAt = null;
+    let firstByteAt = null;
+
+    const flights = scenario.flights.map(flight => {
+        const bytes = flight.messages.reduce((sum, message) => sum + message.bytes, 0);
+        const kbps = flight.from === 'client' ? link.uplinkKbps : link.downlinkKbps;
+        const sentAt = clock;
+        const arrivedAt = sentAt + link.rtt / 2 + networkProfiles.transmitTime(bytes, kbps);
+
+        if (tlsStart === null && flight.messages.some(message => message.layer === 'tls')) {
+            tlsStart = sentAt;
+        }
+        if (requestSentAt === null && flight.from === 'client' && flight.messages.some(message => message.layer === 'http')) {
+            requestSentAt = sentAt;
+        }
+        if (firstByteAt === null && flight.from === 'server' && flight.messages.some(message => message.layer === 'http')) {
+            firstByteAt = arrivedAt;
+        }
+
+        clock = arrivedAt;
+        return {
+            from: flight.from,
+            to: flight.from === 'client' ? 'server' : 'client',
+            messages: flight.messages,
+            bytes,
+            sentAt: round(sentAt),
+            arrivedAt: round(arrivedAt)
+        };
+    });
+
+    return {
+        flights,
+        requestSentAt: round(requestSentAt),
+        firstByteAt: round(firstByteAt),
+        // Round trips the handshake adds before the request can leave
+        tlsRoundTrips: Math.round((requestSentAt - tlsStart) / Math.max(link.rtt, 1)),
+        handshakeTime: round(requestSentAt - tlsStart)
+    };
+}
+
+/**
+ * Run every handshake scenario on the same link
+ * @param {object} options - { rtt, uplinkKbps, downlinkKbps }; missing bandwidths use the assumed default
+ * @returns {object} { link, scenarios: [...] }
+ */
+function compareHandshakes(options) {
+    const link = {
+        rtt: Math.max(options.rtt, 0),
+        uplinkKbps: options.uplinkKbps || tcpModel.DEFAULT_BANDWIDTH_KBPS,
+        downlinkKbps: options.downlinkKbps || tcpModel.DEFAULT_BANDWIDTH_KBPS
+    };
+
+    const scenarios = Object.entries(SCENARIOS).map(([id, scenario]) => ({
+        id,
+        name: scenario.name,
+        version: scenario.version,
+        resumed: scenario.resumed,
+        earlyData: scenario.earlyData,
+        certificateSent: scenario.flights.some(flight => flight.messages.some(message => message.name === 'Certificate')),
+        notes: scenario.notes,
+        ...playFlights(scenario, link)
+    }));
+
+    const baseline = scenarios.find(scenario => scenario.id === 'tls12-full').firstByteAt;
+    scenarios.forEach(scenario => {
+        scenario.savedVsTls12 = round(baseline - scenario.firstByteAt);
+    });
+
+    return { link, scenarios };
+}
+
+module.exports = {
+    compareHandshakes
+};
\ No newline at end of file
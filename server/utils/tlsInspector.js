@@ -0,0 +1,115 @@
+/**
+ * TLS Session Inspector
+ * Reads the negotiated parameters and peer certificate chain from a TLS socket
+ */
+
+/**
+ * Format a certificate subject/issuer object as "CN=..., O=..."
+ */
+function formatName(name) {
+    if (!name) return null;
+
+    return Object.keys(name)
+        .map(key => {
+            const value = Array.isArray(name[key]) ? name[key].join(' + ') : name[key];
+            return `${key}=${value}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Split the subjectaltname string into a list ("DNS:a.com, DNS:b.com")
+ */
+function parseSubjectAltNames(subjectaltname) {
+    if (!subjectaltname) return [];
+    return subjectaltname.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Describe one certificate from getPeerCertificate()
+ */
+function describeCertificate(cert) {
+    const validFrom = parseCertificateDate(cert.valid_from);
+    const validTo = parseCertificateDate(cert.valid_to);
+    const now = Date.now();
+
+    return {
+        subject: formatName(cert.subject),
+        commonName: cert.subject ? cert.subject.CN || null : null,
+        issuer: formatName(cert.issuer),
+        subjectAltNames: parseSubjectAltNames(cert.subjectaltname),
+        // Unparseable dates are reported as unknown (null) rather than failing the request
+        validFrom: validFrom ? validFrom.toISOString() : null,
+        validTo: validTo ? validTo.toISOString() : null,
+        daysRemaining: validTo ? Math.floor((validTo.getTime() - now) / (24 * 60 * 60 * 1000)) : null,
+        expired: validTo ? now > validTo.getTime() : null,
+        notYetValid: validFrom ? now < validFrom.getTime() : null,
+        serialNumber: cert.serialNumber,
+        fingerprint256: cert.fingerprint256,
+        selfSigned: formatName(cert.subject) === formatName(cert.issuer)
+    };
+}
+
+/**
+ * Certificate validity date, or null when it cannot be parsed
+ */
+function parseCertificateDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Walk the peer certificate chain from leaf to root
+ */
+function getCertificateChain(socket) {
+    const chain = [];
+    const seen = new Set();
+    let cert = socket.getPeerCertificate(true);
+
+    // The root certificate points back at itself
+    while (cert && cert.fingerprint256 && !seen.has(cert.fingerprint256)) {
+        seen.add(cert.fingerprint256);
+        chain.push(describeCertificate(cert));
+        cert = cert.issuerCertificate;
+    }
+
+    return chain;
+}
+
+/**
+ * Inspect a TLS socket after the handshake
+ * @param {object} socket - The request's socket
+ * @param {boolean} reusedConnection - Whether the socket came from the keep-alive pool
+ * @returns {object|null} TLS details, or null for plain HTTP
+ */
+function inspectSocket(socket, reusedConnection = false) {
+    if (!socket || !socket.encrypted) {
+        return null;
+    }
+
+    const cipher = socket.getCipher() || {};
+
+    return {
+        protocol: socket.getProtocol(),
+        cipher: {
+            name: cipher.name,
+            standardName: cipher.standardName,
+            version: cipher.version
+        },
+        alpnProtocol: socket.alpnProtocol || null,
+        servername: socket.servername || null,
+        sessionResumed: socket.isSessionReused(),
+        reusedConnection: reusedConnection,
+        // Validation result is reported even though the request was allowed to proceed
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError
+            ? String(socket.authorizationError.code || socket.authorizationError)
+            : null,
+        certificateChain: getCertificateChain(socket)
+    };
+}
+
+module.exports = {
+    inspectSocket,
+    getCertificateChain
+};
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * Wire Formatter
+ * Captures or synthesizes the HTTP/1.1 messages exactly as they appear on the wire
+ */
+
+const { TextDecoder } = require('util');
+
+const CRLF = '\r\n';
+const MAX_RAW_BODY_BYTES = 64 * 1024; // Raw view shows at most 64KB of body
+
+/**
+ * Record the raw request head and response bytes of an outgoing request
+ */
+function captureExchange(req) {
+    const capture = {
+        requestHead: null,
+        statusLine: null,
+        rawHeaders: [],
+        bodyChunks: [],
+        bodyBytes: 0,
+        capturedBytes: 0,
+        contentEncoding: null
+    };
+
+    req.once('finish', () => {
+        // _header is the exact request line and header block Node serialized, but it is private;
+        // without it the head is rebuilt from the public request API
+        capture.requestHead = typeof req._header === 'string' && req._header ? req._header : rebuildRequestHead(req);
+    });
+
+    req.once('response', (res) => {
+        capture.statusLine = `HTTP/${res.httpVersion} ${res.statusCode} ${res.statusMessage}`;
+        capture.rawHeaders = res.rawHeaders;
+
+        // axios removes content-encoding from res.headers once it decompresses, rawHeaders keep it
+        const encodingIndex = res.rawHeaders.findIndex((value, index) => index % 2 === 0 && value.toLowerCase() === 'content-encoding');
+        capture.contentEncoding = encodingIndex !== -1 ? res.rawHeaders[encodingIndex + 1] : null;
+
+        // Listening alongside axios sees the bytes before decompression
+        res.on('data', (chunk) => {
+            capture.bodyBytes += chunk.length;
+            if (capture.capturedBytes < MAX_RAW_BODY_BYTES) {
+                const slice = chunk.subarray(0, MAX_RAW_BODY_BYTES - capture.capturedBytes);
+                capture.bodyChunks.push(slice);
+                capture.capturedBytes += slice.length;
+            }
+        });
+    });
+
+    return capture;
+}
+
+/**
+ * Request line and headers of a sent request from its public API. Headers Node adds
+ * while serializing (Connection, Transfer-Encoding) are not visible here
+ */
+function rebuildRequestHead(req) {
+    const lines = [`${req.method} ${req.path} HTTP/1.1`];
+
+    req.getRawHeaderNames().forEach(name => {
+        const value = req.getHeader(name);
+        // Repeated fields are kept one per line, as they were set
+        (Array.isArray(value) ? value : [value]).forEach(item => lines.push(`${name}: ${item}`));
+    });
+
+    return lines.join(CRLF) + CRLF + CRLF;
+}
+
+/**
+ * Render body bytes for the raw view; binary or encoded payloads get a placeholder
+ */
+function renderBody(buffer, totalBytes, contentEncoding) {
+    if (totalBytes === 0) return '';
+
+    if (contentEncoding && contentEncoding !== 'identity') {
+        return `[${totalBytes} bytes of ${contentEncoding}-encoded data]`;
+    }
+
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return `[${totalBytes} bytes of binary data]`;
+    }
+
+    if (/[\x00-\x08\x0E-\x1F]/.test(text)) {
+        return `[${totalBytes} bytes of binary data]`;
+    }
+
+    if (totalBytes > buffer.length) {
+        text += `${CRLF}[... ${totalBytes - buffer.length} more bytes not shown]`;
+    }
+
+    return text;
+}
+
+/**
+ * Turn a capture into raw request/response text
+ * @param {object} capture - From captureExchange()
+ * @param {string} requestBody - The body that was written after the head, if any
+ */
+function formatCapturedExchange(capture, requestBody) {
+    const requestText = (capture.requestHead || '') + (requestBody || '');
+
+    let responseText = null;
+    if (capture.statusLine) {
+        const headerLines = [];
+        for (let i = 0; i < capture.rawHeaders.length; i += 2) {
+            headerLines.push(`${capture.rawHeaders[i]}: ${capture.rawHeaders[i + 1]}`);
+        }
+
+        responseText = [capture.statusLine, ...headerLines].join(CRLF) + CRLF + CRLF +
+            renderBody(Buffer.concat(capture.bodyChunks), capture.bodyBytes, capture.contentEncoding);
+    }
+
+    return {
+        request: requestText,
+        response: responseText,
+        responseBodyBytes: capture.bodyBytes,
+        synthesized: false
+    };
+}
+
+/**
+ * Build the request a client would send for a mock simulation
+ * @param {object} built - From requestBuilder.buildRequest()
+ * @param {string} connectionType - keep-alive or close
+ */
+function synthesizeRequest(built, connectionType = 'keep-alive') {
+    let host = 'localhost';
+    let target = built.url;
+
+    try {
+        const parsed = new URL(built.url);
+        host = parsed.host;
+        target = parsed.pathname + parsed.search;
+    } catch (e) {
+        // Bare resource names are sent as-is
+        if (!target.startsWith('/')) target = `/${target}`;
+    }
+
+    const headers = [
+        ['Host', host],
+        ['User-Agent', 'HTTP-Simulator/1.0'],
+        ['Accept', '*/*'],
+        ['Connection', connectionType]
+    ];
+
+    // User-defined headers replace the defaults of the same name, in their own position
+    built.headers.forEach(([name, value]) => {
+        const index = headers.findIndex(([existing]) => existing.toLowerCase() === name.toLowerCase());
+        if (index !== -1) headers.splice(index, 1);
+        headers.push([name, value]);
+    });
+
+    if (built.body) {
+        if (!headers.some(([name]) => name.toLowerCase() === 'content-type')) {
+            headers.push(['Content-Type', built.contentType]);
+        }
+        headers.push(['Content-Length', String(Buffer.byteLength(built.body))]);
+    }
+
+    const lines = [`${built.method} ${target} HTTP/1.1`, ...headers.map(([name, value]) => `${name}: ${value}`)];
+    return lines.join(CRLF) + CRLF + CRLF + (built.body || '');
+}
+
+/**
+ * Build the response a server would send for a mock simulation
+ */
+function synthesizeResponse(response) {
+    const lines = [`HTTP/1.1 ${response.statusCode} ${response.statusText}`];
+
+    Object.keys(response.headers).forEach(name => {
+        const value = response.headers[name];
+        // Each Set-Cookie goes on its own line
+        (Array.isArray(value) ? value : [value]).forEach(item => lines.push(`${name}: ${item}`));
+    });
+
+    // Encoded mock bodies get the same placeholder as captured ones
+    const body = serializeBody(response.body);
+    const contentEncoding = response.headers['Content-Encoding'];
+    return lines.join(CRLF) + CRLF + CRLF + (contentEncoding && body
+        ? renderBody(Buffer.from(body), responseBodyBytes(response), contentEncoding)
+        : body);
+}
+
+/**
+ * Body bytes on the wire: the encoded size when the mock applied a content coding
+ */
+function responseBodyBytes(response) {
+    return response.bodyInfo ? response.bodyInfo.wireSize : Buffer.byteLength(serializeBody(response.body));
+}
+
+/**
+ * Serialize a mock body the way the mock server sends it
+ */
+function serializeBody(body) {
+    if (body === null || body === undefined) return '';
+    return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Raw view for a mock exchange
+ */
+function synthesizeExchange(built, response, connectionType) {
+    return {
+        request: synthesizeRequest(built, connectionType),
+        response: synthesizeResponse(response),
+        responseBodyBytes: responseBodyBytes(response),
+        synthesized: true
+    };
+}
+
+/**
+ * Bytes each message occupies on the wire
+ * @returns {object} { requestBytes, responseBytes }
+ */
+function exchangeSizes(raw) {
+    if (!raw) {
+        return { requestBytes: 0, responseBytes: 0 };
+    }
+
+    // The raw response body may be a placeholder, so count the head and the real body bytes
+    const responseHead = raw.response ? raw.response.split(`${CRLF}${CRLF}`)[0] + CRLF + CRLF : '';
+
+    return {
+        requestBytes: Buffer.byteLength(raw.request || ''),
+        responseBytes: Buffer.byteLength(responseHead) + raw.responseBodyBytes
+    };
+}
+
+module.exports = {
+    MAX_RAW_BODY_BYTES,
+    captureExchange,
+    formatCapturedExchange,
+    synthesizeRequest,
+    synthesizeResponse,
+    synthesizeExchange,
+    exchangeSizes
+};
\ No newline at end of file